@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import { createCache, cacheConfig } from './cache.js';
+
+// Query params known to only track the click and never change the asset. Generic names
+// such as `src` or `ref` are kept: image hosts use them to pick the file.
+const TRACKING_PARAMS = [
+  /^utm_/, /^fbclid$/, /^gclid$/, /^dclid$/, /^msclkid$/, /^mc_[ce]id$/, /^igshid$/,
+  /^_ga$/, /^_gl$/, /^ref_src$/, /^si$/, /^spm$/, /^trk$/,
+];
+
+// Freepik CDN params that only select a rendition of the same image
+const FREEPIK_RENDITION_PARAMS = ['w', 'h', 'size', 'ext', 't', 'ga', 'semt', 'uid', 'track'];
+
+const canonicalPinterestPath = (pathname) =>
+  // /236x/ab/cd/ef/abcdef.jpg, /736x/... and /originals/... are the same pin
+  pathname
+    .replace(/^\/(\d+x\d*|originals)\//i, '/originals/')
+    .replace(/\.(jpe?g|png|webp|gif)$/i, '');
+
+const canonicalFreepikPath = (pathname) =>
+  pathname
+    // cdn-icons-png.freepik.com/256/1234/1234567.png -> size-less path
+    .replace(/^\/(\d{2,4})\//, '/')
+    // Retina/size suffixes such as name@2x.png or name-1x.jpg
+    .replace(/[@-]\dx(?=\.\w+$)/i, '');
+
+// Reduce a URL to the form we use for identity: lowercase host without "www.", no
+// fragment, tracking params or default port, sorted params and per-CDN size variants collapsed
+export const canonicalizeUrl = (rawUrl) => {
+  if (!rawUrl) return '';
+  let url;
+  try {
+    url = new URL(rawUrl.trim());
+  } catch (error) {
+    return rawUrl.trim();
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  let pathname = url.pathname.replace(/\/{2,}/g, '/');
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())));
+
+  let keptParams = params;
+  if (host === 'i.pinimg.com') {
+    pathname = canonicalPinterestPath(pathname);
+    keptParams = [];
+  } else if (host.endsWith('freepik.com')) {
+    pathname = canonicalFreepikPath(pathname);
+    keptParams = params.filter(([key]) => !FREEPIK_RENDITION_PARAMS.includes(key.toLowerCase()));
+  }
+
+  const query = keptParams
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  // Scheme is dropped so http/https copies of an asset share an identity
+  return `${host}${pathname.replace(/\/$/, '')}${query ? `?${query}` : ''}`;
+};
+
+// Stable asset id: SHA-256 of the canonical URL
+export const assetId = (url) => crypto.createHash('sha256').update(canonicalizeUrl(url)).digest('hex');
+
+// Id prefix used where many ids have to travel compactly (pagination cursors)
+export const shortAssetId = (id) => id.slice(0, 12);
+
+const sourceEntry = (img) => ({
+  provider: img.provider,
+  source: img.source,
+  image: img.image,
+  url: img.url || '',
+});
+
+// Attach identity and source provenance to a freshly normalized image
+export const identify = (img) => ({
+  ...img,
+  id: assetId(img.image),
+  sources: img.sources || [sourceEntry(img)],
+});
+
+// Fold a duplicate record into the one we already kept
+const absorb = (target, duplicate) => {
+  (duplicate.sources || [sourceEntry(duplicate)]).forEach(entry => {
+    const known = target.sources.some(s => s.provider === entry.provider && s.image === entry.image && s.url === entry.url);
+    if (!known) target.sources.push(entry);
+  });
+  Object.entries(duplicate).forEach(([key, value]) => {
+    if ((target[key] === undefined || target[key] === '') && value !== undefined) target[key] = value;
+  });
+  // Rights a stock site states for the asset hold wherever else it turns up
+  if (target.license?.type === 'unknown' && duplicate.license && duplicate.license.type !== 'unknown') {
+    target.license = duplicate.license;
+  }
+  return target;
+};
+
+// Collapse records that share an id, keeping first-seen order and every source
+export const mergeAssets = (images) => {
+  const byId = new Map();
+  images.forEach(img => {
+    const record = img.id && img.sources ? img : identify(img);
+    if (byId.has(record.id)) absorb(byId.get(record.id), record);
+    else byId.set(record.id, { ...record, sources: [...record.sources] });
+  });
+  return [...byId.values()];
+};
+
+// Cross-category index for one response: each asset is served once, in the first
+// category that claims it, and later sightings only add their sources to that record.
+// `exclude` holds short ids of assets served on earlier pages.
+export const createAssetIndex = ({ exclude = [] } = {}) => {
+  const byId = new Map();
+  const excluded = new Set(exclude);
+  return {
+    claim(images, fields = {}) {
+      const claimed = [];
+      mergeAssets(images).forEach(img => {
+        if (excluded.has(shortAssetId(img.id))) return;
+        if (byId.has(img.id)) {
+          absorb(byId.get(img.id), img);
+          return;
+        }
+        const record = { ...img, ...fields };
+        byId.set(img.id, record);
+        claimed.push(record);
+      });
+      return claimed;
+    },
+    has: (id) => byId.has(id),
+    get size() { return byId.size; },
+  };
+};
+
+// Recently served assets by id, so later requests (boards, exports) can refer to an
+// asset by id alone and still get the metadata /search returned
+const recentAssets = createCache({
+  name: 'assets',
+  ttl: Number(process.env.ASSET_TTL_SECONDS) || 86400,
+  maxEntries: cacheConfig().maxEntries * 20,
+  dir: cacheConfig().dir,
+});
+
+export const rememberAssets = (images) => Promise.all(images.map(img => recentAssets.set(img.id, img)));
+
+export const lookupAsset = async (id) => (await recentAssets.get(id))?.value || null;
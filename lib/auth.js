@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { readNumberEnv } from './env.js';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Parsed key lists by raw API_KEYS value, so errors are logged once
+const parsedKeys = new Map();
+
+// Issued API keys, by client name: API_KEYS='{"web":{"key":"…","perMinute":120},"partner":"…"}'.
+// Generate keys with e.g. `openssl rand -hex 24`. Only hashes are kept in memory.
+const parseKeys = (raw, perMinute) => {
+  let entries = {};
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    // Fail closed: a broken key list must not open the API
+    logger.error('invalid API_KEYS, rejecting every key', { error });
+  }
+  const clients = new Map();
+  Object.entries(entries).forEach(([name, entry]) => {
+    const key = typeof entry === 'string' ? entry : entry?.key;
+    if (typeof key !== 'string' || key.length < 16) {
+      logger.error('API key missing or shorter than 16 characters; ignored', { client: name });
+      return;
+    }
+    const limit = Number(entry.perMinute);
+    clients.set(hashKey(key), { name, perMinute: Number.isFinite(limit) && limit > 0 ? limit : perMinute });
+  });
+  return clients;
+};
+
+// Without API_KEYS the API stays open (local development) and clients are rate limited
+// per IP instead. RATE_LIMIT_PER_MINUTE=0 turns the default limit off.
+export const authConfig = () => {
+  const perMinute = readNumberEnv('RATE_LIMIT_PER_MINUTE', 60);
+  const raw = process.env.API_KEYS;
+  if (!raw) return { required: false, perMinute, clients: new Map() };
+  const id = `${raw}|${perMinute}`;
+  if (!parsedKeys.has(id)) parsedKeys.set(id, parseKeys(raw, perMinute));
+  return { required: true, perMinute, clients: parsedKeys.get(id) };
+};
+
+// "Authorization: Bearer <key>", "X-API-Key: <key>", or ?apiKey= for EventSource
+// clients, which can't set headers
+const presentedKey = (req) => {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  return req.get('X-API-Key') || (typeof req.query.apiKey === 'string' ? req.query.apiKey : null);
+};
+
+// Token bucket per client: `perMinute` requests a minute, refilled continuously, so
+// short bursts up to the full minute's allowance are fine
+export const createRateLimiter = () => {
+  const buckets = new Map();
+  return {
+    // { allowed, limit, remaining, retryAfterSeconds }
+    take(id, perMinute) {
+      const now = Date.now();
+      const ratePerMs = perMinute / 60000;
+      const bucket = buckets.get(id) || { tokens: perMinute, updatedAt: now };
+      bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+      bucket.updatedAt = now;
+      buckets.delete(id);
+      buckets.set(id, bucket);
+      // Buckets idle for a minute have refilled completely, so they carry no state;
+      // the map is in least-recently-used order
+      for (const [key, idle] of buckets) {
+        if (now - idle.updatedAt < 60000) break;
+        buckets.delete(key);
+      }
+      if (bucket.tokens < 1) {
+        return { allowed: false, limit: perMinute, remaining: 0, retryAfterSeconds: Math.ceil((1 - bucket.tokens) / ratePerMs / 1000) };
+      }
+      bucket.tokens -= 1;
+      return { allowed: true, limit: perMinute, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+    },
+  };
+};
+
+// Middleware: identify the client by API key (401 when keys are configured and none or an
+// unknown one is presented), apply its rate limit (429 with Retry-After) and set
+// `req.client` = { name, perMinute }. `onRequest(client)` is called for every admitted request.
+// `exempt` paths ending in "/" exempt everything below them.
+export const apiAccess = ({ exempt = [], onRequest = () => {} } = {}) => {
+  const limiter = createRateLimiter();
+  return (req, res, next) => {
+    if (exempt.some(path => req.path === path || (path.endsWith('/') && req.path.startsWith(path)))) return next();
+    const config = authConfig();
+    let client;
+    if (config.required) {
+      const key = presentedKey(req);
+      if (!key) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: "API key required" });
+      }
+      client = config.clients.get(hashKey(key));
+      if (!client) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: "Invalid API key" });
+      }
+    } else {
+      client = { name: `ip:${req.ip}`, perMinute: config.perMinute };
+    }
+
+    if (client.perMinute > 0) {
+      const rate = limiter.take(client.name, client.perMinute);
+      res.set('RateLimit-Limit', String(rate.limit));
+      res.set('RateLimit-Remaining', String(rate.remaining));
+      if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfterSeconds));
+        return res.status(429).json({ error: "Rate limit exceeded", retryAfterSeconds: rate.retryAfterSeconds });
+      }
+    }
+    req.client = client;
+    onRequest(client);
+    next();
+  };
+};
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { normalizeHex } from './palette.js';
+import { validateSearchParams } from './searchParams.js';
+import { assetId, lookupAsset } from './assets.js';
+
+// Search params worth keeping on a board so it can be re-run later
+const QUERY_FIELDS = ["q", "industry", "font", "color", "designStyle", "ai", "platforms", "sources", "minWidth", "minHeight", "orientation", "aiFormat", "imageColors", "colorMatch", "sort", "license"];
+
+// Thrown for invalid input; routes turn it into a 400
+export class BoardValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BoardValidationError';
+  }
+}
+
+// Thrown when an item names an asset /search hasn't served (recently); routes turn it into a 404
+export class UnknownAssetError extends Error {
+  constructor(id) {
+    super(`Asset ${id} not found; add images from a recent /search response`);
+    this.name = 'UnknownAssetError';
+  }
+}
+
+const ASSET_ID = /^[a-f0-9]{64}$/;
+
+const now = () => new Date().toISOString();
+
+const pickQuery = (query = {}) => {
+  const problems = validateSearchParams(query);
+  if (problems.length > 0) throw new BoardValidationError(`Invalid query: ${problems.join('; ')}`);
+  return Object.fromEntries(QUERY_FIELDS.filter(key => query[key] !== undefined && query[key] !== '').map(key => [key, String(query[key])]));
+};
+
+const cleanText = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+// Accepts brief palette entries ({ role, hex, description }) or bare hex strings
+const cleanPalette = (palette) => {
+  if (palette === undefined) return undefined;
+  if (!Array.isArray(palette)) throw new BoardValidationError("palette must be an array");
+  return palette.map((entry, i) => {
+    const hex = normalizeHex(typeof entry === 'string' ? entry : entry?.hex);
+    if (!hex) throw new BoardValidationError(`palette[${i}] is not a valid hex color`);
+    return { role: cleanText(entry?.role, 40) || null, hex, description: cleanText(entry?.description, 200) };
+  });
+};
+
+const cleanList = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) throw new BoardValidationError(`${name} must be an array`);
+  return value.filter(item => item && typeof item === 'object');
+};
+
+// The asset id an item names: { assetId } or, from older clients, { image } with a /search
+// result of which only the id is used
+const itemAssetId = (item) => {
+  const id = typeof item?.assetId === 'string' ? item.assetId : item?.image?.id;
+  if (typeof id !== 'string' || !ASSET_ID.test(id)) {
+    throw new BoardValidationError("assetId must be the id of an image /search served");
+  }
+  return id;
+};
+
+// Snapshot of an image exactly as /search served it (minus per-request scoring). The
+// record comes from the asset index, never from the client, and its id has to match its
+// canonical URL so later exports only ever fetch URLs a provider returned. Items added
+// this way are marked `verified`; older items saved from client input are not.
+const snapshotImage = (image) => {
+  if (!image || typeof image !== 'object' || typeof image.image !== 'string' || !/^https?:\/\//i.test(image.image)) {
+    throw new BoardValidationError("image must be a /search result with an http(s) image URL");
+  }
+  if (image.id !== assetId(image.image)) throw new BoardValidationError("image id does not match its URL");
+  const { scoreBreakdown, ...snapshot } = image;
+  return snapshot;
+};
+
+// Boards persisted as one JSON file. Everything is kept in memory after the first
+// read; writes go to a temp file that replaces the store, one at a time. Items are
+// resolved by asset id through `lookup` (the index of assets /search served). Every
+// method takes the calling `client`; a board is only seen by the client that created it.
+export const createBoardStore = (file, { lookup = lookupAsset } = {}) => {
+  let boards = null;
+  let writeChain = Promise.resolve();
+
+  const resolveItem = async (item) => {
+    const id = itemAssetId(item);
+    const image = await lookup(id);
+    if (!image) throw new UnknownAssetError(id);
+    return snapshotImage(image);
+  };
+
+  const load = async () => {
+    if (boards) return boards;
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      boards = new Map((data.boards || []).map(board => [board.id, board]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('board store read failed', { file, error });
+      boards = new Map();
+    }
+    return boards;
+  };
+
+  const persist = () => {
+    const snapshot = JSON.stringify({ version: 1, boards: [...boards.values()] }, null, 2);
+    writeChain = writeChain.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    }).catch(error => logger.error('board store write failed', { file, error }));
+    return writeChain;
+  };
+
+  // Another client's board is treated as missing, so its existence isn't revealed
+  const find = async (id, client) => {
+    const board = (await load()).get(id);
+    return board && board.client === client ? board : null;
+  };
+
+  // Apply `change` to a board, bump updatedAt and save; null if the board doesn't exist
+  const mutate = async (id, client, change) => {
+    const board = await find(id, client);
+    if (!board) return null;
+    const result = change(board);
+    board.updatedAt = now();
+    await persist();
+    return result === undefined ? board : result;
+  };
+
+  const summary = (board) => ({
+    id: board.id,
+    name: board.name,
+    description: board.description,
+    itemCount: board.items.length,
+    palette: board.palette,
+    createdAt: board.createdAt,
+    updatedAt: board.updatedAt,
+  });
+
+  return {
+    async list({ client = null } = {}) {
+      return [...(await load()).values()].filter(board => board.client === client).map(summary);
+    },
+
+    async get(id, { client = null } = {}) {
+      return find(id, client);
+    },
+
+    async create(input = {}, { client = null } = {}) {
+      const name = cleanText(input.name, 120);
+      if (!name) throw new BoardValidationError("name is required");
+      const brief = input.brief && typeof input.brief === 'object' ? input.brief : {};
+      const board = {
+        id: crypto.randomUUID(),
+        client,
+        name,
+        description: cleanText(input.description, 1000),
+        query: pickQuery(input.query),
+        palette: cleanPalette(input.palette ?? brief.palette) || [],
+        typography: cleanList(input.typography ?? brief.typography, 'typography') || [],
+        fontPairings: cleanList(input.fontPairings ?? brief.fontPairings, 'fontPairings') || [],
+        items: [],
+        createdAt: now(),
+        updatedAt: now(),
+        lastRefreshedAt: null,
+      };
+      if (input.items !== undefined && !Array.isArray(input.items)) throw new BoardValidationError("items must be an array");
+      for (const item of input.items || []) {
+        const image = await resolveItem(item);
+        if (!board.items.some(existing => existing.assetId === image.id)) {
+          board.items.push({ assetId: image.id, image, verified: true, note: cleanText(item.note, 2000), addedAt: now() });
+        }
+      }
+      (await load()).set(board.id, board);
+      await persist();
+      return board;
+    },
+
+    // Name, description, stored query and pinned palette/typography/font pairings
+    async update(id, input = {}, { client = null } = {}) {
+      const palette = cleanPalette(input.palette);
+      const typography = cleanList(input.typography, 'typography');
+      const fontPairings = cleanList(input.fontPairings, 'fontPairings');
+      const query = input.query === undefined ? undefined : pickQuery(input.query);
+      const name = input.name === undefined ? undefined : cleanText(input.name, 120);
+      if (name === '') throw new BoardValidationError("name cannot be empty");
+      // Everything is validated above, so a rejected update changes nothing
+      return mutate(id, client, board => {
+        if (name !== undefined) board.name = name;
+        if (input.description !== undefined) board.description = cleanText(input.description, 1000);
+        if (query) board.query = query;
+        if (palette) board.palette = palette;
+        if (typography) board.typography = typography;
+        if (fontPairings) board.fontPairings = fontPairings;
+      });
+    },
+
+    async remove(id, { client = null } = {}) {
+      if (!(await find(id, client))) return false;
+      (await load()).delete(id);
+      await persist();
+      return true;
+    },
+
+    // Adds (or re-notes) an item from { assetId, note? }; returns the item, or null if the
+    // board doesn't exist. Throws UnknownAssetError for assets the index doesn't know.
+    async addItem(id, input = {}, { client = null } = {}) {
+      const { note } = input;
+      if (!(await find(id, client))) return null;
+      const snapshot = await resolveItem(input);
+      return mutate(id, client, board => {
+        const existing = board.items.find(item => item.assetId === snapshot.id);
+        if (existing) {
+          if (note !== undefined) existing.note = cleanText(note, 2000);
+          return existing;
+        }
+        const item = { assetId: snapshot.id, image: snapshot, verified: true, note: cleanText(note, 2000), addedAt: now() };
+        board.items.push(item);
+        return item;
+      });
+    },
+
+    // Returns the updated item, false if the board has no such item, null if no board
+    async updateItem(id, assetId, { note }, { client = null } = {}) {
+      return mutate(id, client, board => {
+        const item = board.items.find(entry => entry.assetId === assetId);
+        if (!item) return false;
+        item.note = cleanText(note, 2000);
+        return item;
+      });
+    },
+
+    async removeItem(id, assetId, { client = null } = {}) {
+      return mutate(id, client, board => {
+        const before = board.items.length;
+        board.items = board.items.filter(item => item.assetId !== assetId);
+        return board.items.length < before;
+      });
+    },
+
+    async markRefreshed(id, { client = null } = {}) {
+      return mutate(id, client, board => {
+        board.lastRefreshedAt = now();
+      });
+    },
+  };
+};
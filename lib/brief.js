@@ -0,0 +1,237 @@
+import Color from 'color';
+import * as palette from './palette.js';
+import { STYLE_RULES, DEFAULT_STYLE, INDUSTRY_RULES, DEFAULT_LAYOUTS, KEY_ELEMENTS } from './briefRules.js';
+
+// Section headings the prompt asks for, anchored at the start so a title such as
+// "Bold Brand Identity" isn't mistaken for the BRAND INSPIRATION section
+const SECTION_MATCHERS = [
+  ['palette', /^colou?r\s*palette/i],
+  ['fontPairings', /^font\s*pairing/i],
+  ['typography', /^(typography|fonts?\b)/i],
+  ['brandInspiration', /^brand\s*inspiration/i],
+  ['designLanguage', /^design\s*language/i],
+  ['keyElements', /^key\s*(design\s*)?elements?/i],
+  ['layouts', /^layouts?\b/i],
+];
+
+const PALETTE_ROLES = ['primary', 'secondary', 'accent 1', 'accent 2', 'accent 3'];
+const WEIGHT_REGEX = /\b(\d00|thin|extra[- ]?light|light|regular|normal|book|medium|semi[- ]?bold|bold|extra[- ]?bold|heavy|black)\b/i;
+const DASH_SPLIT = /\s+[-–—]\s+|\s*:\s+/;
+
+// Brief fields are plain text: HTML tags, link targets and markdown emphasis are dropped
+const clean = (text = '') => text.replace(/<[^>]*>/g, '').replace(/\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1').replace(/\*\*|__|`/g, '').replace(/\s+/g, ' ').trim();
+
+// Split "Name - description" (or "Name: description") into its two halves
+const splitPair = (line) => {
+  const parts = line.split(DASH_SPLIT);
+  if (parts.length < 2) return [clean(line), ''];
+  return [clean(parts[0]), clean(parts.slice(1).join(' - '))];
+};
+
+// Break the model's markdown into { title, sections: { key: [lines] } }
+const splitSections = (text) => {
+  const sections = {};
+  let title = null;
+  let current = null;
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const heading = line.match(/^#{1,6}\s*(.+)$/) || line.match(/^\*\*([^*]+)\*\*:?$/);
+    if (heading) {
+      const headingText = clean(heading[1]).replace(/[[\]]/g, '');
+      const match = SECTION_MATCHERS.find(([, regex]) => regex.test(headingText));
+      if (match) {
+        current = match[0];
+        sections[current] = sections[current] || [];
+      } else if (!title) {
+        title = headingText.replace(/^main title\s*:?\s*(design concept summary\s*:?)?\s*/i, '').trim() || null;
+        current = null;
+      }
+      return;
+    }
+    const item = line.match(/^(?:[-*•]|\d+[.)])\s+(.+)$/);
+    if (current && item) sections[current].push(clean(item[1]));
+  });
+  return { title, sections };
+};
+
+const parsePalette = (lines, warnings) => lines.map((line, index) => {
+  const hexMatch = line.match(/#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})\b/);
+  const hex = hexMatch && palette.normalizeHex(hexMatch[0]);
+  if (!hex) {
+    warnings.push(`Palette entry without a valid hex code: "${line}"`);
+    return null;
+  }
+  const roleMatch = line.slice(0, hexMatch.index).match(/^([^:]+?)\s*:?\s*$/);
+  const role = roleMatch ? clean(roleMatch[1]).toLowerCase() : (PALETTE_ROLES[index] || `accent ${index - 1}`);
+  const rest = line.slice(hexMatch.index + hexMatch[0].length).trim();
+  const description = clean(rest.replace(/^\((.*)\)$/, '$1').replace(/^[-–—:]\s*/, ''));
+  return { role, hex, description };
+}).filter(Boolean);
+
+const parseTypography = (lines) => lines.map(line => {
+  const withDetails = line.match(/^(.+?)\s*\(([^)]*)\)\s*(?:[-–—:]\s*(.*))?$/);
+  let family, usage;
+  let details = line;
+  if (withDetails) {
+    [family, details, usage] = [clean(withDetails[1]), withDetails[2], clean(withDetails[3] || '')];
+  } else {
+    [family, usage] = splitPair(line);
+  }
+  const weight = (details.match(WEIGHT_REGEX) || [])[1] || null;
+  const style = /italic/i.test(details) ? 'italic' : 'normal';
+  return family ? { family, weight: weight && weight.toLowerCase(), style, usage } : null;
+}).filter(Boolean);
+
+const parseFontPairings = (lines, warnings) => lines.map(line => {
+  const explicit = line.match(/headline\s*:\s*(.+?)\s*\+\s*body\s*:\s*(.+?)(?:\s+[-–—]\s+(.*))?$/i);
+  if (explicit) return { headline: clean(explicit[1]), body: clean(explicit[2]), context: clean(explicit[3] || '') };
+  // Repair "Font A + Font B - context" and "Font A and Font B: context"
+  const [pair, context] = splitPair(line);
+  const fonts = pair.split(/\s*(?:\+|&|\band\b|\bwith\b)\s*/i).filter(Boolean);
+  if (fonts.length >= 2) return { headline: fonts[0], body: fonts[1], context };
+  warnings.push(`Unrecognized font pairing: "${line}"`);
+  return null;
+}).filter(Boolean);
+
+const parseNamedList = (lines, nameKey, descriptionKey) => lines.map(line => {
+  const [name, description] = splitPair(line);
+  return name ? { [nameKey]: name, [descriptionKey]: description } : null;
+}).filter(Boolean);
+
+// Fill or top up the palette from the color engine so the brief always has usable colors
+const completePalette = (entries, inputColor) => {
+  const result = [...entries];
+  const inputHex = palette.normalizeHex(inputColor);
+  if (inputHex && !result.some(p => p.hex === inputHex)) {
+    result.push({ role: result.length ? 'requested' : 'primary', hex: inputHex, description: 'Requested brand color' });
+  }
+  const base = result[0]?.hex || '#1E90FF';
+  // Harmony colors first, then tints/shades in case the scheme overlaps existing entries
+  const candidates = [
+    ...palette.generatePalette(base, palette.chooseScheme(base, 4 - result.length)),
+    ...palette.generatePalette(base, 'monochrome'),
+  ];
+  candidates.forEach(hex => {
+    if (result.length < 4 && !result.some(p => p.hex === hex)) {
+      result.push({ role: PALETTE_ROLES[result.length] || 'accent', hex, description: 'Generated from color harmony' });
+    }
+  });
+  return result;
+};
+
+const matchRule = (rules, ...texts) => {
+  for (const text of texts.filter(Boolean)) {
+    const rule = rules.find(r => r.keywords.test(text));
+    if (rule) return rule;
+  }
+  return null;
+};
+
+// Stable color for a query nothing else matched, so the same query always gets the same palette
+const queryColor = (query = '') => {
+  const hash = [...query.toLowerCase()].reduce((sum, ch) => (sum * 31 + ch.charCodeAt(0)) >>> 0, 7);
+  return Color.hsl(hash % 360, 60, 45).hex();
+};
+
+const toEntries = (pairs, nameKey, descriptionKey) =>
+  pairs.map(([name, description]) => ({ [nameKey]: name, [descriptionKey]: description }));
+
+// Deterministic brief from local rules and the palette engine, used when no model is
+// reachable or it returned nothing usable. Style and industry are read from the params,
+// falling back to keywords in the query.
+export const buildFallbackBrief = ({ query, industry, font, color, designStyle } = {}, reason = 'AI suggestions unavailable') => {
+  const style = matchRule(STYLE_RULES, designStyle, query) || DEFAULT_STYLE;
+  const sector = matchRule(INDUSTRY_RULES, industry, query);
+  const base = palette.normalizeHex(color) || sector?.baseColor || (style === DEFAULT_STYLE && query ? queryColor(query) : style.baseColor);
+  const scheme = style.scheme || palette.chooseScheme(base, 3);
+  const schemeColors = palette.generatePalette(base, scheme).slice(0, 4).map((hex, i) => ({
+    role: PALETTE_ROLES[i],
+    hex,
+    description: i === 0 ? (palette.normalizeHex(color) ? 'Requested brand color' : 'Base color') : `${scheme} harmony`,
+  }));
+
+  const typography = style.fonts.map(([family, weight, usage]) => ({ family, weight, style: 'normal', usage }));
+  const fontPairings = [{ headline: style.pairing[0], body: style.pairing[1], context: style.pairing[2] }];
+  if (font) {
+    typography.unshift({ family: font, weight: null, style: 'normal', usage: 'Requested typeface' });
+    fontPairings.unshift({ headline: font, body: style.pairing[1], context: 'Requested typeface with a neutral body face' });
+  }
+
+  return {
+    title: query ? `${query} design direction` : 'Design Recommendations',
+    palette: completePalette(schemeColors, color),
+    typography,
+    brandInspiration: [],
+    designLanguage: toEntries(style.language, 'element', 'explanation'),
+    fontPairings,
+    keyElements: toEntries(KEY_ELEMENTS, 'element', 'purpose'),
+    layouts: toEntries(sector?.layouts || DEFAULT_LAYOUTS, 'name', 'description'),
+    source: 'fallback',
+    warnings: [reason],
+  };
+};
+
+const capitalize = (text) => text.replace(/\b\w/g, c => c.toUpperCase());
+
+const fontDetails = ({ weight, style }) => {
+  const details = [weight, style === 'italic' ? style : null].filter(Boolean);
+  return details.length ? ` (${details.join(', ')})` : '';
+};
+
+// Render a brief in the sectioned markdown format the prompt asks the model for
+export const briefToMarkdown = (brief) => {
+  const section = (heading, items, line) => (items.length ? [`# ${heading}`, ...items.map(line), ''] : []);
+  return [
+    `# ${brief.title}`,
+    '',
+    ...section('COLOR PALETTE', brief.palette, p => `- ${capitalize(p.role || 'color')}: ${p.hex}${p.description ? ` (${p.description})` : ''}`),
+    ...section('TYPOGRAPHY RECOMMENDATIONS', brief.typography, (t, i) =>
+      `${i + 1}. ${t.family}${fontDetails(t)}${t.usage ? ` - ${t.usage}` : ''}`),
+    ...section('BRAND INSPIRATION', brief.brandInspiration, (b, i) => `${i + 1}. ${b.name} - ${b.description}`),
+    ...section('DESIGN LANGUAGE RECOMMENDATIONS', brief.designLanguage, (d, i) => `${i + 1}. ${d.element} - ${d.explanation}`),
+    ...section('FONT PAIRING RECOMMENDATIONS', brief.fontPairings, (f, i) =>
+      `${i + 1}. Headline: ${f.headline} + Body: ${f.body}${f.context ? ` - ${f.context}` : ''}`),
+    ...section('KEY DESIGN ELEMENTS', brief.keyElements, (k, i) => `${i + 1}. ${k.element} - ${k.purpose}`),
+    ...section('LAYOUT SUGGESTIONS', brief.layouts, (l, i) => `${i + 1}. ${l.name} - ${l.description}`),
+  ].join('\n').trim();
+};
+
+// Parse and validate the sectioned model output into a typed brief, repairing what we can
+export const parseBrief = (text, params = {}) => {
+  if (!text || typeof text !== 'string') return buildFallbackBrief(params);
+
+  const warnings = [];
+  const { title, sections } = splitSections(text);
+  const brief = {
+    title: title || null,
+    palette: parsePalette(sections.palette || [], warnings),
+    typography: parseTypography(sections.typography || []),
+    brandInspiration: parseNamedList(sections.brandInspiration || [], 'name', 'description'),
+    designLanguage: parseNamedList(sections.designLanguage || [], 'element', 'explanation'),
+    fontPairings: parseFontPairings(sections.fontPairings || [], warnings),
+    keyElements: parseNamedList(sections.keyElements || [], 'element', 'purpose'),
+    layouts: parseNamedList(sections.layouts || [], 'name', 'description'),
+    source: 'model',
+    warnings,
+  };
+
+  ['palette', 'typography', 'fontPairings'].forEach(key => {
+    if (!sections[key]) warnings.push(`Missing section: ${key}`);
+  });
+
+  // Model strayed from the format entirely: salvage any hex codes it mentioned
+  if (brief.palette.length === 0 && !sections.palette) {
+    const looseHexes = [...new Set((text.match(/#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})\b/g) || []).map(palette.normalizeHex))];
+    brief.palette = looseHexes.slice(0, 5).map((hex, i) => ({ role: PALETTE_ROLES[i] || 'accent', hex, description: '' }));
+  }
+
+  const parsedCount = brief.palette.length;
+  brief.palette = completePalette(brief.palette, params.color);
+  if (!brief.title) brief.title = buildFallbackBrief(params).title;
+  if (brief.typography.length === 0 && params.font) {
+    brief.typography.push({ family: params.font, weight: null, style: 'normal', usage: 'Requested typeface' });
+  }
+  if (warnings.length > 0 || brief.palette.length !== parsedCount) brief.source = 'repaired';
+  return brief;
+};
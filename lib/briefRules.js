@@ -0,0 +1,180 @@
+// Local design rules behind the offline brief: what a style or industry implies for
+// color scheme, type and layout when no model is reachable. Matched by keyword against
+// the designStyle/industry params first, then the query.
+
+export const STYLE_RULES = [
+  {
+    style: 'minimalist',
+    keywords: /\b(minimal\w*|clean|simple|scandi\w*|swiss)\b/i,
+    baseColor: '#2F3640',
+    scheme: 'monochrome',
+    fonts: [['Inter', '600', 'Headlines and navigation'], ['Inter', '400', 'Body copy']],
+    pairing: ['Inter', 'Inter', 'One family in two weights keeps the system quiet'],
+    language: [
+      ['Generous whitespace', 'Lets a small number of elements carry the page'],
+      ['Strict grid', 'Consistent alignment reads as deliberate restraint'],
+      ['Limited palette', 'Tints of one hue with a single accent for actions'],
+    ],
+  },
+  {
+    style: 'elegant',
+    keywords: /\b(elegan\w*|luxur\w*|premium|sophisticat\w*|refined|classic)\b/i,
+    baseColor: '#1F2A44',
+    scheme: 'analogous',
+    fonts: [['Playfair Display', '700', 'Headlines'], ['Source Sans 3', '400', 'Body copy']],
+    pairing: ['Playfair Display', 'Source Sans 3', 'High-contrast serif over a neutral sans'],
+    language: [
+      ['High-contrast serif display type', 'Signals craft and heritage'],
+      ['Thin rules and fine borders', 'Adds structure without weight'],
+      ['Muted, deep tones', 'Keeps the palette calm and expensive-looking'],
+    ],
+  },
+  {
+    style: 'playful',
+    keywords: /\b(playful|fun|friendly|kids?|whimsical|colou?rful|vibrant)\b/i,
+    baseColor: '#FF6B6B',
+    scheme: 'triadic',
+    fonts: [['Poppins', '700', 'Headlines'], ['Nunito', '400', 'Body copy']],
+    pairing: ['Poppins', 'Nunito', 'Geometric and rounded sans for a warm, approachable voice'],
+    language: [
+      ['Rounded shapes', 'Soft corners feel friendly and safe'],
+      ['Bright accent blocks', 'Color fields guide attention section by section'],
+      ['Illustration and stickers', 'Adds personality beyond photography'],
+    ],
+  },
+  {
+    style: 'bold',
+    keywords: /\b(bold|brutal\w*|loud|strong|striking|edgy)\b/i,
+    baseColor: '#E63946',
+    scheme: 'complementary',
+    fonts: [['Montserrat', '800', 'Headlines'], ['Open Sans', '400', 'Body copy']],
+    pairing: ['Montserrat', 'Open Sans', 'Heavy display weight against a plain reading face'],
+    language: [
+      ['Oversized headlines', 'Type as the main graphic element'],
+      ['Hard color contrast', 'Complementary pairs create immediate impact'],
+      ['Full-bleed sections', 'Edge-to-edge blocks keep the rhythm strong'],
+    ],
+  },
+  {
+    style: 'vintage',
+    keywords: /\b(vintage|retro|nostalgi\w*|heritage|rustic|handmade|craft)\b/i,
+    baseColor: '#C8553D',
+    scheme: 'split-complementary',
+    fonts: [['DM Serif Display', '400', 'Headlines'], ['Work Sans', '400', 'Body copy']],
+    pairing: ['DM Serif Display', 'Work Sans', 'Period-flavoured serif balanced by a modern sans'],
+    language: [
+      ['Warm, slightly desaturated colors', 'Evokes print and age'],
+      ['Badges and seals', 'Borrowed from packaging and signage'],
+      ['Paper textures', 'Adds tactility to flat layouts'],
+    ],
+  },
+  {
+    style: 'technical',
+    keywords: /\b(tech\w*|futur\w*|digital|saas|cyber\w*|data|ai)\b/i,
+    baseColor: '#2563EB',
+    scheme: 'split-complementary',
+    fonts: [['Space Grotesk', '600', 'Headlines'], ['IBM Plex Sans', '400', 'Body copy'], ['JetBrains Mono', '400', 'Code and data labels']],
+    pairing: ['Space Grotesk', 'IBM Plex Sans', 'Engineered grotesk with a highly legible UI sans'],
+    language: [
+      ['Product UI as imagery', 'Screenshots and diagrams show instead of tell'],
+      ['Modular cards', 'Features read as a system of parts'],
+      ['Electric accents on dark surfaces', 'Highlights interactive elements'],
+    ],
+  },
+  {
+    style: 'organic',
+    keywords: /\b(organic|natur\w*|eco|green|sustainab\w*|botanical|earthy)\b/i,
+    baseColor: '#4A7C59',
+    scheme: 'analogous',
+    fonts: [['Fraunces', '600', 'Headlines'], ['Karla', '400', 'Body copy']],
+    pairing: ['Fraunces', 'Karla', 'Soft serif with a humanist sans for a natural feel'],
+    language: [
+      ['Earth tones', 'Greens and browns ground the brand in nature'],
+      ['Irregular shapes', 'Hand-drawn edges avoid a corporate feel'],
+      ['Natural photography', 'Daylight, textures and materials'],
+    ],
+  },
+];
+
+// Used when nothing matches
+export const DEFAULT_STYLE = {
+  style: 'modern',
+  baseColor: '#3A86FF',
+  scheme: null,
+  fonts: [['Manrope', '700', 'Headlines'], ['Inter', '400', 'Body copy']],
+  pairing: ['Manrope', 'Inter', 'Contemporary sans pairing that works across print and screen'],
+  language: [
+    ['Clear hierarchy', 'Size and weight steps make scanning easy'],
+    ['Consistent spacing scale', 'Keeps every section in rhythm'],
+    ['Single strong accent', 'Reserves the brightest color for calls to action'],
+  ],
+};
+
+export const INDUSTRY_RULES = [
+  {
+    keywords: /\b(food|restaurant|caf[eé]|coffee|bakery|culinary|menu|bar)\b/i,
+    baseColor: '#B5562F',
+    layouts: [
+      ['Photo-led hero', 'Full-width dish or interior shot with the reservation call to action'],
+      ['Menu grid', 'Sections by course with prices aligned right'],
+      ['Location strip', 'Hours, map and contact in one band'],
+    ],
+  },
+  {
+    keywords: /\b(fashion|apparel|clothing|boutique|beauty|cosmetic\w*)\b/i,
+    baseColor: '#1A1A1A',
+    layouts: [
+      ['Editorial lookbook', 'Large portrait images with minimal captions'],
+      ['Product carousel', 'Horizontal scroll of the current collection'],
+      ['Story split', 'Brand story beside a campaign image'],
+    ],
+  },
+  {
+    keywords: /\b(health\w*|medical|clinic|wellness|fitness|pharma\w*)\b/i,
+    baseColor: '#2A9D8F',
+    layouts: [
+      ['Reassuring hero', 'Calm imagery with one clear booking action'],
+      ['Service cards', 'Treatments or programs with short benefits'],
+      ['Trust band', 'Credentials, reviews and partner logos'],
+    ],
+  },
+  {
+    keywords: /\b(financ\w*|bank\w*|insurance|invest\w*|fintech|legal)\b/i,
+    baseColor: '#1D3557',
+    layouts: [
+      ['Value-proposition hero', 'Headline, key figure and sign-up form'],
+      ['Comparison table', 'Plans or products side by side'],
+      ['Security section', 'Certifications and plain-language guarantees'],
+    ],
+  },
+  {
+    keywords: /\b(educat\w*|school|course|learning|academ\w*|training)\b/i,
+    baseColor: '#3A86FF',
+    layouts: [
+      ['Course catalogue grid', 'Filterable cards with level and duration'],
+      ['Progress dashboard', 'Learner status at a glance'],
+      ['Testimonial strip', 'Outcomes from past students'],
+    ],
+  },
+  {
+    keywords: /\b(tech\w*|software|saas|app|startup|digital)\b/i,
+    baseColor: '#2563EB',
+    layouts: [
+      ['Product hero', 'Headline beside a product screenshot'],
+      ['Feature grid', 'Three or four capabilities with icons'],
+      ['Pricing table', 'Tiers with the recommended plan highlighted'],
+    ],
+  },
+];
+
+export const DEFAULT_LAYOUTS = [
+  ['Hero with single call to action', 'One message and one action above the fold'],
+  ['Three-column feature band', 'Short benefits with supporting icons'],
+  ['Image mosaic', 'Mixed-size imagery to show range'],
+];
+
+export const KEY_ELEMENTS = [
+  ['Logo lockups', 'Horizontal and stacked versions for every placement'],
+  ['Icon set', 'One stroke weight and corner radius across the system'],
+  ['Photography direction', 'Consistent light, crop and color treatment'],
+];
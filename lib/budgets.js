@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { isReplay } from './httpMode.js';
+import { readJsonEnv } from './env.js';
+
+// Daily call budgets per upstream quota. Several providers can share one quota (Google
+// and Pinterest both spend Google Custom Search queries), so budgets are keyed by
+// upstream, not provider. Override with UPSTREAM_BUDGETS='{"google-cse":1000,"freepik":500}';
+// upstreams without a budget are only counted.
+const DEFAULT_BUDGETS = { 'google-cse': 100 };
+const SAVE_DELAY_MS = 1000;
+
+// Thrown instead of calling an upstream whose daily budget is spent
+export class BudgetExhaustedError extends Error {
+  constructor(upstream) {
+    super(`Daily budget for ${upstream} exhausted`);
+    this.name = 'BudgetExhaustedError';
+    this.upstream = upstream;
+  }
+}
+
+export const budgetConfig = () => ({
+  budgets: readJsonEnv('UPSTREAM_BUDGETS', DEFAULT_BUDGETS),
+  // Days roll over at midnight here; Google's quotas reset at midnight Pacific time
+  timeZone: process.env.BUDGET_TIMEZONE || 'UTC',
+});
+
+// "2026-10-19" in the configured time zone
+const today = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+  } catch (error) {
+    return new Date().toISOString().slice(0, 10);
+  }
+};
+
+// Today's upstream calls and API requests per client, kept in one JSON file so a restart
+// doesn't hand out a fresh budget. Read once at startup; saves are batched.
+export const createUsageTracker = (file) => {
+  let usage = { day: null, upstreams: {}, clients: {} };
+  let saveTimer = null;
+  if (file) {
+    try {
+      usage = { ...usage, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('usage file read failed', { file, error });
+    }
+  }
+
+  const save = () => {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(usage, null, 2));
+        await fs.promises.rename(tmp, file);
+      } catch (error) {
+        logger.error('usage file write failed', { file, error });
+      }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  };
+
+  // Counters for the current day, starting over when the day changes
+  const current = () => {
+    const day = today(budgetConfig().timeZone);
+    if (usage.day !== day) usage = { day, upstreams: {}, clients: {} };
+    return usage;
+  };
+
+  const limitOf = (upstream) => {
+    const limit = Number(budgetConfig().budgets[upstream]);
+    return Number.isFinite(limit) && limit >= 0 ? limit : null;
+  };
+
+  return {
+    // Whether `upstream` has `units` left today. Replayed calls cost nothing.
+    allow(upstream, units = 1) {
+      if (isReplay()) return true;
+      const limit = limitOf(upstream);
+      return limit === null || (current().upstreams[upstream] || 0) + units <= limit;
+    },
+
+    spend(upstream, units = 1) {
+      if (isReplay()) return;
+      const { upstreams } = current();
+      upstreams[upstream] = (upstreams[upstream] || 0) + units;
+      save();
+    },
+
+    recordRequest(client) {
+      const { clients } = current();
+      clients[client] = (clients[client] || 0) + 1;
+      save();
+    },
+
+    // { day, timeZone, upstreams: [{ name, used, limit, remaining, exhausted }], requests }
+    // where `requests` is today's count for `client`
+    report({ client } = {}) {
+      const { day, upstreams, clients } = current();
+      const names = [...new Set([...Object.keys(budgetConfig().budgets), ...Object.keys(upstreams)])];
+      return {
+        day,
+        timeZone: budgetConfig().timeZone,
+        upstreams: names.map(name => {
+          const used = upstreams[name] || 0;
+          const limit = limitOf(name);
+          return {
+            name,
+            used,
+            limit,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            exhausted: limit !== null && used >= limit,
+          };
+        }),
+        requests: client ? clients[client] || 0 : undefined,
+      };
+    },
+  };
+};
+
+export const usageTracker = createUsageTracker(process.env.USAGE_FILE || 'data/usage.json');
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { readNumberEnv } from './env.js';
+
+// TTLs are in seconds; CACHE_DIR enables the on-disk store shared across restarts
+export const cacheConfig = () => ({
+  searchTtl: readNumberEnv('CACHE_SEARCH_TTL_SECONDS', 600),
+  providerTtl: readNumberEnv('CACHE_PROVIDER_TTL_SECONDS', 3600),
+  aiTtl: readNumberEnv('CACHE_AI_TTL_SECONDS', 3600),
+  maxEntries: readNumberEnv('CACHE_MAX_ENTRIES', 500),
+  dir: process.env.CACHE_DIR || null,
+});
+
+// Stable key for a set of parameters: sorted, trimmed, lowercased, empty values dropped
+export const cacheKey = (namespace, params = {}) => {
+  const normalized = Object.keys(params)
+    .sort()
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .map(key => [key, typeof params[key] === 'string' ? params[key].trim().toLowerCase().replace(/\s+/g, ' ') : params[key]]);
+  return `${namespace}:${JSON.stringify(normalized)}`;
+};
+
+// JSON file per entry, named by the hash of its key, with the same LRU cap as the memory
+// tier. Each file's modification time is set to its expiry, so the index can be rebuilt
+// from the directory on first use; expired files are deleted as new ones are written.
+const createDiskStore = (dir, maxEntries) => {
+  const idFor = (key) => crypto.createHash('sha256').update(key).digest('hex');
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  // id -> expiresAt, least recently used first
+  const index = new Map();
+  let ready = null;
+
+  const drop = async (id) => {
+    index.delete(id);
+    await fs.unlink(fileFor(id)).catch(() => {});
+  };
+
+  const prune = async () => {
+    const now = Date.now();
+    for (const [id, expiresAt] of index) {
+      if (expiresAt <= now) await drop(id);
+    }
+    while (index.size > maxEntries) await drop(index.keys().next().value);
+  };
+
+  const scan = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+    const files = await Promise.all(names.map(async name => {
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      return stat && { id: name.slice(0, -'.json'.length), expiresAt: stat.mtimeMs };
+    }));
+    files.filter(Boolean).sort((a, b) => a.expiresAt - b.expiresAt).forEach(({ id, expiresAt }) => index.set(id, expiresAt));
+    await prune();
+  };
+  const init = () => (ready = ready || scan().catch(error => logger.error('cache scan failed', { dir, error })));
+
+  return {
+    async get(key) {
+      await init();
+      const id = idFor(key);
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+        if (entry.key === key && entry.expiresAt > Date.now()) {
+          index.delete(id);
+          index.set(id, entry.expiresAt);
+          return entry;
+        }
+        await drop(id);
+      } catch (error) {
+        // Missing or unreadable entries are plain misses
+      }
+      return null;
+    },
+    async set(key, entry) {
+      await init();
+      const id = idFor(key);
+      try {
+        await fs.writeFile(fileFor(id), JSON.stringify({ key, ...entry }));
+        await fs.utimes(fileFor(id), new Date(), new Date(entry.expiresAt));
+      } catch (error) {
+        logger.error('cache write failed', { error });
+        return;
+      }
+      index.delete(id);
+      index.set(id, entry.expiresAt);
+      await prune();
+    },
+  };
+};
+
+// In-memory LRU with TTL, an optional disk store behind it, and coalescing of
+// concurrent identical requests onto one in-flight promise
+export const createCache = ({ name, ttl, maxEntries = 500, dir = null }) => {
+  const memory = new Map();
+  const inflight = new Map();
+  const disk = dir ? createDiskStore(path.join(dir, name), maxEntries) : null;
+
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  };
+
+  const get = async (key) => {
+    const entry = memory.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      remember(key, entry); // Refresh LRU position
+      return entry;
+    }
+    if (entry) memory.delete(key);
+    const stored = disk ? await disk.get(key) : null;
+    if (stored) remember(key, { value: stored.value, expiresAt: stored.expiresAt });
+    return stored;
+  };
+
+  const set = async (key, value, ttlSeconds = ttl) => {
+    if (ttlSeconds <= 0) return;
+    const entry = { value, expiresAt: Date.now() + ttlSeconds * 1000 };
+    remember(key, entry);
+    if (disk) await disk.set(key, entry);
+  };
+
+  // Resolve `key` from cache or by running `fn`. Returns { value, status, expiresAt } where
+  // status is HIT, MISS or COALESCED (joined a request already in flight). `shouldCache`
+  // lets callers refuse to store values such as fallbacks; `refresh` skips the read.
+  const wrap = async (key, fn, { ttl: ttlSeconds = ttl, shouldCache = () => true, refresh = false } = {}) => {
+    if (!refresh) {
+      const entry = await get(key);
+      if (entry) return { value: entry.value, status: 'HIT', expiresAt: entry.expiresAt };
+    }
+    if (inflight.has(key)) {
+      const value = await inflight.get(key);
+      return { value, status: 'COALESCED', expiresAt: memory.get(key)?.expiresAt || null };
+    }
+    const promise = (async () => {
+      const value = await fn();
+      if (shouldCache(value)) await set(key, value, ttlSeconds);
+      return value;
+    })();
+    inflight.set(key, promise);
+    try {
+      const value = await promise;
+      return { value, status: 'MISS', expiresAt: memory.get(key)?.expiresAt || null };
+    } finally {
+      inflight.delete(key);
+    }
+  };
+
+  return {
+    name,
+    get,
+    set,
+    wrap,
+    clear: () => memory.clear(),
+    get size() { return memory.size; },
+  };
+};
+
+// Shared caches, created once from the environment
+const config = cacheConfig();
+export const searchCache = createCache({ name: 'search', ttl: config.searchTtl, maxEntries: config.maxEntries, dir: config.dir });
+export const providerCache = createCache({ name: 'providers', ttl: config.providerTtl, maxEntries: config.maxEntries * 4, dir: config.dir });
+export const aiCache = createCache({ name: 'ai', ttl: config.aiTtl, maxEntries: config.maxEntries, dir: config.dir });
+
+// Cache-Control / X-Cache headers for a cached response. Responses depend on the API key's
+// limits and budgets, so shared caches must not keep them.
+export const setCacheHeaders = (res, { status, expiresAt }) => {
+  const maxAge = expiresAt ? Math.max(0, Math.round((expiresAt - Date.now()) / 1000)) : 0;
+  res.set("X-Cache", status);
+  res.set("Cache-Control", maxAge > 0 ? `private, max-age=${maxAge}` : "no-cache");
+};
+
+// Clients can force a fresh upstream fetch with `Cache-Control: no-cache`
+export const wantsRefresh = (req) => /no-cache|no-store/i.test(req.get("Cache-Control") || '');
@@ -0,0 +1,120 @@
+import Color from 'color';
+import { createCache, cacheConfig } from './cache.js';
+import { extractImagePalette } from './imagePalette.js';
+import { fetchImage } from './imageProxy.js';
+import { deltaE2000, normalizeHex } from './palette.js';
+import { readNumberEnv } from './env.js';
+
+export const COLOR_MATCH_MODES = ['strict', 'loose'];
+export const SORT_ORDERS = ['relevance', 'color'];
+
+const SWATCH_COUNT = 4;
+// Swatches smaller than this don't count as the image's color when matching
+const MIN_MATCH_SHARE = 0.1;
+
+export const colorMatchConfig = () => ({
+  enabled: process.env.IMAGE_SWATCHES !== 'false',
+  timeoutMs: readNumberEnv('IMAGE_SWATCH_TIMEOUT_MS', 6000),
+  maxBytes: readNumberEnv('IMAGE_SWATCH_MAX_BYTES', 5 * 1024 * 1024),
+  // Largest CIEDE2000 distance from a target color that still counts as a match
+  maxDistance: {
+    strict: readNumberEnv('COLOR_MATCH_STRICT_DISTANCE', 12),
+    loose: readNumberEnv('COLOR_MATCH_LOOSE_DISTANCE', 25),
+  },
+});
+
+// Swatches per asset; undecodable images are cached as null so they aren't downloaded again
+const swatchCache = createCache({
+  name: 'swatches',
+  ttl: readNumberEnv('IMAGE_SWATCH_TTL_SECONDS', 7 * 86400),
+  maxEntries: cacheConfig().maxEntries * 10,
+  dir: cacheConfig().dir,
+});
+
+// Read an image (the thumbnail where the provider has one) through the image cache and
+// cluster its colors. Returns { swatches } with swatches=null when the image can't be
+// read, or undefined when the download timed out and is worth retrying.
+const readSwatches = async (url, { timeoutMs, maxBytes }) => {
+  try {
+    const { buffer } = await fetchImage(url, { timeoutMs, maxBytes });
+    const { palette } = await extractImagePalette(buffer, { colors: SWATCH_COUNT });
+    return { swatches: palette };
+  } catch (error) {
+    return { swatches: error.status === 504 ? undefined : null };
+  }
+};
+
+// Attach `swatches` ([{ hex, share, family }], most prominent first, or null when the
+// image couldn't be read) to each image, downloading through `limiter`
+export const attachSwatches = async (images, { limiter }) => {
+  const config = colorMatchConfig();
+  if (!config.enabled) return images;
+  return Promise.all(images.map(async img => {
+    const url = img.thumbnail || img.image;
+    if (!url) return { ...img, swatches: null };
+    const { value } = await swatchCache.wrap(
+      `swatches:${img.id}`,
+      () => limiter(() => readSwatches(url, config)),
+      { shouldCache: result => result.swatches !== undefined }
+    );
+    return { ...img, swatches: value.swatches ?? null };
+  }));
+};
+
+// Parse colorMatch/sort query params (invalid values ignored)
+export const parseColorMatch = (query = {}) => ({
+  mode: COLOR_MATCH_MODES.includes(query.colorMatch) ? query.colorMatch : null,
+  sortByColor: query.sort === 'color',
+});
+
+// Colors results are compared against: the requested color (hex or CSS name), else the
+// reference image's colors, else the generated palette
+export const colorTargets = ({ color, imageColors = [], colorPalette = [] }) => {
+  let requested = normalizeHex(color);
+  if (!requested && color) {
+    try {
+      requested = Color(String(color).trim().toLowerCase().replace(/\s+/g, '')).hex();
+    } catch (error) {
+      // Not a color Color knows ("ocean blue"); fall through to the palettes
+    }
+  }
+  if (requested) return [requested];
+  return imageColors.length > 0 ? imageColors : colorPalette;
+};
+
+// LAB chroma under this reads as white, grey or black
+const NEUTRAL_CHROMA = 10;
+const isNeutral = (hex) => {
+  const [, a, b] = Color(hex).lab().array();
+  return Math.hypot(a, b) < NEUTRAL_CHROMA;
+};
+
+// Smallest distance between any prominent swatch of an image and any target, or null.
+// Neutral backgrounds would match every palette with a light or dark tone, so colored
+// targets are only compared with colored swatches; neutral targets match anything.
+const distanceTo = (swatches, targets) => {
+  if (!swatches || swatches.length === 0 || targets.length === 0) return null;
+  const prominent = swatches.filter(s => s.share >= MIN_MATCH_SHARE);
+  const candidates = prominent.length > 0 ? prominent : swatches.slice(0, 1);
+  const colored = candidates.filter(s => !isNeutral(s.hex));
+  const distances = targets.flatMap(target => (isNeutral(target) || colored.length === 0 ? candidates : colored)
+    .map(s => deltaE2000(s.hex, target)));
+  return Number(Math.min(...distances).toFixed(2));
+};
+
+// Record `colorDistance` on each image and, with a mode, keep only those within its
+// distance. Images without swatches can't be matched, so a mode drops them.
+export const matchColors = (images, targets, mode = null) => {
+  const limit = mode ? colorMatchConfig().maxDistance[mode] : null;
+  return images
+    .map(img => ({ ...img, colorDistance: distanceTo(img.swatches, targets) }))
+    .filter(img => !mode || (img.colorDistance !== null && img.colorDistance <= limit));
+};
+
+// Closest color first, score breaking ties; unmatched images go last
+export const sortByColor = (images) => [...images].sort((a, b) => {
+  const da = a.colorDistance ?? Infinity;
+  const db = b.colorDistance ?? Infinity;
+  if (da !== db) return da - db;
+  return (b.score || 0) - (a.score || 0);
+});
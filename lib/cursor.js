@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+const CURSOR_VERSION = 1;
+const SHORT_ID_LENGTH = 12; // Hex chars, see shortAssetId
+// Served ids a cursor remembers; older pages' assets may reappear past this many
+const MAX_SEEN = 500;
+// Providers never page this deep; anything larger is a forged cursor
+const MAX_OFFSET = 10000;
+
+// Short hex ids travel as one packed base64url string (6 bytes each) to keep cursors small
+const packIds = (ids) => Buffer.from(ids.join(''), 'hex').toString('base64url');
+const unpackIds = (packed) => (Buffer.from(packed || '', 'base64url').toString('hex').match(new RegExp(`.{${SHORT_ID_LENGTH}}`, 'g')) || []);
+
+// Opaque "load more" cursor. It carries:
+//   q - fingerprint of the search it belongs to
+//   o - next offset per batch (exhausted batches are dropped)
+//   s - short ids of the assets already served (the latest MAX_SEEN), for cross-page dedup
+//   c - color the first page built its color queries from, so later pages page the same queries
+//   n - number of the page this cursor fetches
+export const encodeCursor = ({ fingerprint, offsets, seen, colorBase, page }) =>
+  Buffer.from(JSON.stringify({ v: CURSOR_VERSION, q: fingerprint, o: offsets, s: packIds(seen.slice(-MAX_SEEN)), c: colorBase, n: page }))
+    .toString('base64url');
+
+const isOffset = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_OFFSET;
+
+// Returns the decoded cursor, or null when it is malformed, from another version or
+// carries offsets that aren't non-negative integers
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (data.v !== CURSOR_VERSION || !data.o || typeof data.o !== 'object' || Array.isArray(data.o) || typeof data.s !== 'string') return null;
+    if (!Object.values(data.o).every(isOffset)) return null;
+    const page = data.n === undefined ? 2 : data.n;
+    if (!Number.isInteger(page) || page < 2) return null;
+    return {
+      fingerprint: data.q,
+      offsets: { ...data.o },
+      seen: unpackIds(data.s).slice(-MAX_SEEN),
+      colorBase: typeof data.c === 'string' ? data.c : null,
+      page,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+export const fingerprint = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
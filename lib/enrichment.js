@@ -0,0 +1,187 @@
+import axios from 'axios';
+import { imageSize } from 'image-size';
+import { createCache, cacheConfig } from './cache.js';
+import { readNumberEnv } from './env.js';
+import { assertPublicUrl, publicLookup } from './netGuard.js';
+
+const PROBE_BYTES = 64 * 1024; // Enough for the header of every format we read
+const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+const MAX_REDIRECTS = 5;
+
+export const enrichmentConfig = () => ({
+  enabled: process.env.IMAGE_VALIDATION !== 'false',
+  concurrency: readNumberEnv('IMAGE_VALIDATION_CONCURRENCY', 8),
+  timeoutMs: readNumberEnv('IMAGE_VALIDATION_TIMEOUT_MS', 4000),
+  // Anything smaller on both sides is an icon or avatar rather than inspiration
+  minDimension: readNumberEnv('IMAGE_MIN_DIMENSION', 120),
+});
+
+// Probe results per asset, including dead ones so they aren't fetched again
+const metadataCache = createCache({
+  name: 'metadata',
+  ttl: readNumberEnv('IMAGE_METADATA_TTL_SECONDS', 86400),
+  maxEntries: cacheConfig().maxEntries * 10,
+  dir: cacheConfig().dir,
+});
+
+// Run at most `concurrency` tasks at once; returns a function that queues a task
+export const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+export const orientationOf = (width, height) => {
+  if (!width || !height) return null;
+  const ratio = width / height;
+  if (ratio > 1.1) return 'landscape';
+  if (ratio < 0.9) return 'portrait';
+  return 'square';
+};
+
+// Total size from "Content-Range: bytes 0-65535/123456", else Content-Length of a full response
+const byteSizeOf = (headers, status) => {
+  const range = headers['content-range']?.match(/\/(\d+)$/);
+  if (range) return Number(range[1]);
+  return status === 200 && headers['content-length'] ? Number(headers['content-length']) : null;
+};
+
+// Read the first PROBE_BYTES of a stream, then drop the connection
+const readHead = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let length = 0;
+  stream.on('data', chunk => {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= PROBE_BYTES) {
+      stream.destroy();
+      resolve(Buffer.concat(chunks));
+    }
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+  stream.on('close', () => resolve(Buffer.concat(chunks)));
+});
+
+// One partial GET, redirects not followed; every hop's address is checked before connecting
+const requestHead = (url, signal, timeoutMs) => {
+  assertPublicUrl(url);
+  return axios.get(url, {
+    responseType: 'stream',
+    timeout: timeoutMs,
+    signal,
+    maxRedirects: 0,
+    validateStatus: status => status >= 200 && status < 400,
+    lookup: publicLookup,
+    headers: { Range: `bytes=0-${PROBE_BYTES - 1}`, Accept: 'image/*' },
+  });
+};
+
+// Partial GET of an image URL. Returns { alive, contentType, byteSize, width, height }
+// where alive=false means dead, not an image or not public, and null means "couldn't
+// tell" (timeout)
+const probeImage = async (url, timeoutMs) => {
+  try {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let location = url;
+    let response;
+    for (let hop = 0; ; hop++) {
+      response = await requestHead(location, signal, timeoutMs);
+      if (response.status < 300) break;
+      response.data.destroy();
+      const next = response.headers.location && new URL(response.headers.location, location).toString();
+      if (!/^https?:\/\//i.test(next || '')) return { alive: false, reason: 'bad-redirect' };
+      if (hop >= MAX_REDIRECTS) return { alive: false, reason: 'too-many-redirects' };
+      location = next;
+    }
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/')) {
+      response.data.destroy();
+      return { alive: false, contentType, reason: 'not-an-image' };
+    }
+    const head = await readHead(response.data);
+    let dimensions = {};
+    try {
+      dimensions = imageSize(head);
+    } catch (error) {
+      // Header beyond the probed bytes or an unsupported format: keep the image, dimensions unknown
+    }
+    return {
+      alive: true,
+      contentType,
+      byteSize: byteSizeOf(response.headers, response.status),
+      width: dimensions.width || null,
+      height: dimensions.height || null,
+    };
+  } catch (error) {
+    if (error.response) return { alive: false, reason: `http-${error.response.status}` };
+    if (['ENOTFOUND', 'ECONNREFUSED', 'ERR_INVALID_URL', 'ERR_BLOCKED_ADDRESS'].includes(error.code)) return { alive: false, reason: error.code };
+    return { alive: null, reason: error.code || error.message };
+  }
+};
+
+// Parse minWidth/minHeight/orientation query params into filters (invalid values ignored)
+export const parseImageFilters = (query = {}) => {
+  const minWidth = Number(query.minWidth);
+  const minHeight = Number(query.minHeight);
+  const orientation = String(query.orientation || '').toLowerCase();
+  return {
+    minWidth: Number.isFinite(minWidth) && minWidth > 0 ? minWidth : null,
+    minHeight: Number.isFinite(minHeight) && minHeight > 0 ? minHeight : null,
+    orientation: ORIENTATIONS.includes(orientation) ? orientation : null,
+  };
+};
+
+const passesFilters = (img, filters, minDimension) => {
+  const { width, height } = img;
+  const hasUserFilter = filters.minWidth || filters.minHeight || filters.orientation;
+  // Explicit filters need known dimensions; the icon filter only drops what it can measure
+  if (!width || !height) return !hasUserFilter;
+  if (width < minDimension && height < minDimension) return false;
+  if (filters.minWidth && width < filters.minWidth) return false;
+  if (filters.minHeight && height < filters.minHeight) return false;
+  if (filters.orientation && orientationOf(width, height) !== filters.orientation) return false;
+  return true;
+};
+
+// Post-fetch stage: validate and measure each image (bounded by `limiter`, cached per
+// asset), drop dead, non-image, icon-sized and filtered-out images, and record
+// contentType, byteSize, width, height and orientation on the ones that remain
+export const enrichImages = async (images, { filters = {}, limiter, validate = true } = {}) => {
+  const config = enrichmentConfig();
+  const run = limiter || createLimiter(config.concurrency);
+  const enriched = await Promise.all(images.map(async img => {
+    if (!validate || !config.enabled) return img;
+    const { value: probe } = await metadataCache.wrap(
+      `meta:${img.id}`,
+      () => run(() => probeImage(img.image, config.timeoutMs)),
+      // Inconclusive probes (timeouts) are retried next time
+      { shouldCache: result => result.alive !== null }
+    );
+    if (probe.alive === false) return null;
+    const width = probe.width || img.width || null;
+    const height = probe.height || img.height || null;
+    return {
+      ...img,
+      width,
+      height,
+      orientation: orientationOf(width, height),
+      contentType: probe.contentType || null,
+      byteSize: probe.byteSize ?? null,
+      validated: probe.alive === true,
+    };
+  }));
+  return enriched.filter(img => img && passesFilters(img, filters, config.minDimension));
+};
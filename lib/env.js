@@ -0,0 +1,23 @@
+import { logger } from './logger.js';
+
+// Non-negative number from the environment; unset, blank or invalid values use the fallback
+export const readNumberEnv = (key, fallback) => {
+  const raw = process.env[key];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// JSON object from the environment merged over the defaults; invalid JSON is logged and
+// the defaults are used
+export const readJsonEnv = (key, fallback = {}) => {
+  if (!process.env[key]) return { ...fallback };
+  try {
+    const value = JSON.parse(process.env[key]);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new TypeError(`${key} must be a JSON object`);
+    return { ...fallback, ...value };
+  } catch (error) {
+    logger.error(`invalid ${key}, using defaults`, { error });
+    return { ...fallback };
+  }
+};
@@ -0,0 +1,202 @@
+import axios from 'axios';
+import Color from 'color';
+import { normalizeHex, toHsl } from './palette.js';
+import { withRetry } from './resilience.js';
+import { isReplay } from './httpMode.js';
+
+// Upstream or input problem with a status for the route to pass on
+export class FigmaError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'FigmaError';
+    this.status = status;
+  }
+}
+
+export const figmaConfig = () => ({
+  // Overridable so tests can point at a local stub server
+  baseUrl: (process.env.FIGMA_API_URL || 'https://api.figma.com').replace(/\/$/, ''),
+  token: process.env.FIGMA_TOKEN || '',
+  timeoutMs: Number(process.env.FIGMA_TIMEOUT_MS) || 15000,
+});
+
+export const isFigmaConfigured = () => Boolean(figmaConfig().token) || isReplay();
+
+// Accepts a bare file key or a figma.com/file|design|board/<key>/... URL
+export const parseFileKey = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const fromUrl = value.match(/figma\.com\/(?:file|design|board|proto)\/([A-Za-z0-9]+)/);
+  if (fromUrl) return fromUrl[1];
+  return /^[A-Za-z0-9]{10,}$/.test(value.trim()) ? value.trim() : null;
+};
+
+const figmaRequest = async (method, path, { params, data } = {}) => {
+  const { baseUrl, token, timeoutMs } = figmaConfig();
+  try {
+    const response = await withRetry(request => axios({
+      method,
+      url: `${baseUrl}/v1${path}`,
+      headers: { 'X-Figma-Token': token },
+      params,
+      data,
+      ...request
+    }), { deadlineMs: timeoutMs, maxRetries: method === 'get' ? 2 : 0 });
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message || error.response?.data?.err || error.message;
+    // Bad token, missing file or missing scope are the caller's to fix
+    throw new FigmaError(`Figma API: ${message}`, [400, 403, 404].includes(status) ? status : 502);
+  }
+};
+
+const toHex = ({ r, g, b }) => Color.rgb(r * 255, g * 255, b * 255).hex();
+
+const fromHex = (hex) => {
+  const [r, g, b] = Color(hex).rgb().array();
+  return { r: r / 255, g: g / 255, b: b / 255, a: 1 };
+};
+
+// Style node ids of a file: its published styles, else the local styles the document uses
+const styleRefs = async (fileKey) => {
+  const published = await figmaRequest('get', `/files/${fileKey}/styles`);
+  const styles = published.meta?.styles || [];
+  if (styles.length > 0) {
+    return styles.map(s => ({ nodeId: s.node_id, name: s.name, type: s.style_type, description: s.description || '' }));
+  }
+  const file = await figmaRequest('get', `/files/${fileKey}`, { params: { depth: 1 } });
+  return Object.entries(file.styles || {}).map(([nodeId, s]) => ({
+    nodeId, name: s.name, type: s.styleType, description: s.description || ''
+  }));
+};
+
+// Color (solid fill) and text styles of a Figma file, resolved to values
+export const readFileStyles = async (fileKey) => {
+  const refs = (await styleRefs(fileKey)).filter(ref => ref.type === 'FILL' || ref.type === 'TEXT');
+  if (refs.length === 0) return { name: null, colors: [], text: [] };
+
+  const { name, nodes = {} } = await figmaRequest('get', `/files/${fileKey}/nodes`, {
+    params: { ids: refs.map(ref => ref.nodeId).join(',') }
+  });
+  const colors = [];
+  const text = [];
+  refs.forEach(ref => {
+    const node = nodes[ref.nodeId]?.document;
+    if (!node) return;
+    if (ref.type === 'FILL') {
+      const fill = (node.fills || []).find(f => f.type === 'SOLID' && f.visible !== false);
+      if (fill) colors.push({ name: ref.name, hex: toHex(fill.color), description: ref.description });
+    } else if (node.style?.fontFamily) {
+      text.push({
+        name: ref.name,
+        family: node.style.fontFamily,
+        weight: node.style.fontWeight || null,
+        size: node.style.fontSize || null,
+      });
+    }
+  });
+  return { name: name || null, colors, text };
+};
+
+const NEUTRAL_SATURATION = 12;
+const isNeutral = (hex) => {
+  const { s, l } = toHsl(hex);
+  return s < NEUTRAL_SATURATION || l < 8 || l > 95;
+};
+
+// The brand color: a style named primary/brand, else the most saturated non-neutral one
+const pickColor = (colors) => {
+  const named = colors.find(c => /primary|brand/i.test(c.name) && !isNeutral(c.hex));
+  if (named) return named.hex;
+  const chromatic = colors.filter(c => !isNeutral(c.hex));
+  const pool = chromatic.length > 0 ? chromatic : colors;
+  return pool.reduce((best, c) => (!best || toHsl(c.hex).s > toHsl(best.hex).s ? c : best), null)?.hex || null;
+};
+
+// The display face: a heading/title style, else the largest text style
+const pickFont = (text) => {
+  const heading = text.find(t => /head|title|display|h1\b/i.test(t.name));
+  if (heading) return heading.family;
+  return text.reduce((best, t) => (!best || (t.size || 0) > (best.size || 0) ? t : best), null)?.family || null;
+};
+
+// Rough style read from the palette and type: serif display faces read as elegant, mono as
+// technical, greyscale palettes as minimalist, dark ones as bold, saturated spread as playful
+export const inferDesignStyle = ({ colors, text }) => {
+  const families = text.map(t => t.family.toLowerCase());
+  const hsl = colors.map(c => toHsl(c.hex));
+  const chromatic = hsl.filter(c => c.s >= NEUTRAL_SATURATION);
+  const avg = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+  if (families.some(f => /mono|code/.test(f))) return 'technical';
+  if (families.some(f => /serif|playfair|garamond|didot|bodoni|baskerville|lora|merriweather/.test(f) && !/sans/.test(f))) {
+    return 'elegant';
+  }
+  if (hsl.length > 0 && chromatic.length === 0) return 'minimalist';
+  if (hsl.length > 0 && avg(hsl.map(c => c.l)) < 30) return 'bold';
+  const hueSpread = chromatic.length > 1 ? Math.max(...chromatic.map(c => c.h)) - Math.min(...chromatic.map(c => c.h)) : 0;
+  if (avg(chromatic.map(c => c.s)) > 60 && hueSpread > 90) return 'playful';
+  return 'modern';
+};
+
+// /search parameters seeded from a file's styles
+export const styleSearchParams = (styles) => {
+  const params = {
+    color: pickColor(styles.colors),
+    font: pickFont(styles.text),
+    designStyle: styles.colors.length || styles.text.length ? inferDesignStyle(styles) : null,
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value));
+};
+
+// Write color tokens ({ name, hex, description }) to a variable collection, creating it
+// and its variables on first export and updating values in place afterwards. Figma's REST
+// API can't create styles, so variables are how a palette gets back into the file.
+export const writePaletteVariables = async (fileKey, colors, { collection = 'Inspo palette' } = {}) => {
+  const local = await figmaRequest('get', `/files/${fileKey}/variables/local`);
+  const collections = Object.values(local.meta?.variableCollections || {});
+  const existing = collections.find(c => c.name === collection && !c.remote);
+  const collectionId = existing?.id || 'tmp_collection';
+  const modeId = existing?.defaultModeId || 'tmp_mode';
+  const existingVariables = new Map(Object.values(local.meta?.variables || {})
+    .filter(v => v.variableCollectionId === collectionId)
+    .map(v => [v.name, v]));
+
+  const variables = [];
+  const variableModeValues = [];
+  colors.forEach((color, i) => {
+    const hex = normalizeHex(color.hex);
+    if (!hex) return;
+    const current = existingVariables.get(color.name);
+    const variableId = current?.id || `tmp_variable_${i}`;
+    variables.push(current
+      ? { action: 'UPDATE', id: variableId, description: color.description || '' }
+      : {
+        action: 'CREATE',
+        id: variableId,
+        name: color.name,
+        variableCollectionId: collectionId,
+        resolvedType: 'COLOR',
+        description: color.description || ''
+      });
+    variableModeValues.push({ variableId, modeId, value: fromHex(hex) });
+  });
+
+  const payload = {
+    ...(existing ? {} : {
+      variableCollections: [{ action: 'CREATE', id: collectionId, name: collection, initialModeId: modeId }]
+    }),
+    variables,
+    variableModeValues,
+  };
+  const result = await figmaRequest('post', `/files/${fileKey}/variables`, { data: payload });
+  const realIds = result.meta?.tempIdToRealId || {};
+  return {
+    collection: { id: realIds[collectionId] || collectionId, name: collection, created: !existing },
+    variables: variables.map(v => ({
+      id: realIds[v.id] || v.id,
+      name: v.name || [...existingVariables.values()].find(e => e.id === v.id)?.name,
+      action: v.action.toLowerCase()
+    })),
+  };
+};
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createLimiter } from './enrichment.js';
+import { logger } from './logger.js';
+import { readNumberEnv } from './env.js';
+
+// Styling the text-to-image call accepts. Enum values are Freepik's and checked there;
+// here they only need to look like one ("square_1_1", "b&w", "golden-hour").
+const SLUG = /^[a-z0-9&_-]{1,40}$/;
+const OPTION_RULES = {
+  aspectRatio: { type: 'slug' },
+  style: { type: 'slug' },
+  color: { type: 'slug' },
+  camera: { type: 'slug' },
+  lighting: { type: 'slug' },
+  numImages: { type: 'integer', min: 1, max: 4 },
+  guidanceScale: { type: 'number', min: 0, max: 2 },
+  negativePrompt: { type: 'text', max: 500 },
+  seed: { type: 'integer', min: 0, max: 1000000 },
+};
+export const GENERATION_OPTIONS = Object.keys(OPTION_RULES);
+
+const MAX_PROMPT_LENGTH = 1000;
+const CONTROL_CHARS = /[\u0000-\u0008\u000B-\u001F\u007F]/;
+const TERMINAL = ['succeeded', 'failed'];
+
+export const generationConfig = () => ({
+  concurrency: Math.max(1, readNumberEnv('GENERATION_CONCURRENCY', 2)),
+  maxQueued: readNumberEnv('GENERATION_MAX_QUEUED', 20),
+  // Finished jobs kept in the store; the oldest are dropped first
+  history: readNumberEnv('GENERATION_HISTORY', 1000),
+});
+
+// Thrown for invalid input; routes turn it into a 400
+export class GenerationValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GenerationValidationError';
+  }
+}
+
+// Thrown when GENERATION_MAX_QUEUED jobs are already waiting; routes turn it into a 503
+export class GenerationQueueFullError extends Error {
+  constructor() {
+    super('Too many generation jobs queued, try again shortly');
+    this.name = 'GenerationQueueFullError';
+  }
+}
+
+const now = () => new Date().toISOString();
+
+const randomSeed = () => crypto.randomInt(0, 1000001);
+
+export const validatePrompt = (prompt) => {
+  if (typeof prompt !== 'string' || !prompt.trim()) throw new GenerationValidationError('prompt is required');
+  if (prompt.length > MAX_PROMPT_LENGTH) throw new GenerationValidationError(`prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+  if (CONTROL_CHARS.test(prompt)) throw new GenerationValidationError('prompt contains control characters');
+  return prompt.trim();
+};
+
+// Pick and check the styling options in `input`; unknown keys are ignored
+export const pickOptions = (input = {}) => {
+  const options = {};
+  Object.entries(OPTION_RULES).forEach(([name, rule]) => {
+    const value = input[name];
+    if (value === undefined || value === null || value === '') return;
+    if (rule.type === 'slug') {
+      if (typeof value !== 'string' || !SLUG.test(value)) throw new GenerationValidationError(`${name} must be a lowercase option name`);
+      options[name] = value;
+    } else if (rule.type === 'text') {
+      if (typeof value !== 'string' || value.length > rule.max || CONTROL_CHARS.test(value)) {
+        throw new GenerationValidationError(`${name} must be text of at most ${rule.max} characters`);
+      }
+      options[name] = value.trim();
+    } else {
+      const number = Number(value);
+      const valid = Number.isFinite(number) && number >= rule.min && number <= rule.max && (rule.type !== 'integer' || Number.isInteger(number));
+      if (!valid) throw new GenerationValidationError(`${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`);
+      options[name] = number;
+    }
+  });
+  return options;
+};
+
+// Text-to-image jobs: queued, run at most GENERATION_CONCURRENCY at a time through
+// `generate(job)` (which resolves to { images } or throws), and kept with their prompt,
+// options and seed in one JSON file so any result can be regenerated or varied.
+// Status changes are emitted per job id for streaming clients.
+export const createGenerationService = ({ file, generate }) => {
+  let jobs = null;
+  let writeChain = Promise.resolve();
+  let pending = 0;
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const run = createLimiter(generationConfig().concurrency);
+
+  const load = async () => {
+    if (jobs) return jobs;
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      jobs = new Map((data.jobs || []).map(job => [job.id, job]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('generation store read failed', { file, error });
+      jobs = new Map();
+    }
+    // Jobs in flight when the process stopped will never finish
+    jobs.forEach(job => {
+      if (TERMINAL.includes(job.status)) return;
+      Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart', completedAt: now() });
+    });
+    return jobs;
+  };
+
+  const prune = () => {
+    const { history } = generationConfig();
+    const finished = [...jobs.values()].filter(job => TERMINAL.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - history)).forEach(job => jobs.delete(job.id));
+  };
+
+  const persist = () => {
+    prune();
+    const snapshot = JSON.stringify({ version: 1, jobs: [...jobs.values()] }, null, 2);
+    writeChain = writeChain.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    }).catch(error => logger.error('generation store write failed', { file, error }));
+    return writeChain;
+  };
+
+  const update = async (job, changes) => {
+    Object.assign(job, changes);
+    events.emit(job.id, job);
+    await persist();
+  };
+
+  const execute = async (job) => {
+    await update(job, { status: 'running', startedAt: now() });
+    try {
+      const { images } = await generate(job);
+      await update(job, { status: 'succeeded', images, completedAt: now() });
+    } catch (error) {
+      logger.warn('generation failed', { job: job.id, error });
+      await update(job, { status: 'failed', error: error.message, completedAt: now() });
+    } finally {
+      pending--;
+    }
+  };
+
+  // Queue a job; the seed is always fixed up front so the result can be reproduced
+  const enqueue = async ({ prompt, options, parentId = null, source = 'api', client = null }) => {
+    const { maxQueued, concurrency } = generationConfig();
+    if (pending >= concurrency + maxQueued) throw new GenerationQueueFullError();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      prompt,
+      options: { ...options, seed: options.seed ?? randomSeed() },
+      parentId,
+      source,
+      client,
+      images: [],
+      error: null,
+      createdAt: now(),
+      startedAt: null,
+      completedAt: null,
+    };
+    (await load()).set(job.id, job);
+    pending++;
+    await persist();
+    run(() => execute(job));
+    return job;
+  };
+
+  // Another client's job is treated as missing, so its existence isn't revealed
+  const find = async (id, client) => {
+    const job = (await load()).get(id);
+    return job && job.client === client ? job : null;
+  };
+
+  return {
+    // Body: { prompt, aspectRatio?, style?, color?, camera?, lighting?, numImages?, guidanceScale?, negativePrompt?, seed? }
+    async submit(input = {}, meta = {}) {
+      return enqueue({ prompt: validatePrompt(input.prompt), options: pickOptions(input), ...meta });
+    },
+
+    // A new job from an earlier one: same prompt, options and seed (an exact regeneration)
+    // unless `vary` asks for a new seed; `changes` may override the prompt or any option.
+    // Only the client that started the earlier job can regenerate it.
+    async regenerate(id, { vary = false, ...changes } = {}, meta = {}) {
+      const parent = await find(id, meta.client ?? null);
+      if (!parent) return null;
+      const options = { ...parent.options, ...pickOptions(changes) };
+      if (vary && changes.seed === undefined) options.seed = randomSeed();
+      const prompt = changes.prompt === undefined ? parent.prompt : validatePrompt(changes.prompt);
+      return enqueue({ prompt, options, parentId: parent.id, ...meta });
+    },
+
+    async get(id, { client = null } = {}) {
+      return find(id, client);
+    },
+
+    // Most recent first; only the jobs `client` started
+    async list({ limit = 50, client = null } = {}) {
+      return [...(await load()).values()].filter(job => job.client === client).reverse().slice(0, limit);
+    },
+
+    // Call `listener(job)` on every status change of a job; returns an unsubscribe function
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    isFinished: (job) => TERMINAL.includes(job.status),
+
+    stats: () => ({ pending, ...generationConfig() }),
+  };
+};
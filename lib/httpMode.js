@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { logger } from './logger.js';
+import { readNumberEnv } from './env.js';
+
+// MODE=record|replay|live for every outbound HTTP call (providers, the model, Figma,
+// image downloads), all of which go through the shared axios instance:
+//   live   - plain upstream calls (default)
+//   record - upstream calls, each request/response also saved as a fixture
+//   replay - fixtures only; a request without one fails, nothing leaves the machine
+// Fixtures are JSON files under FIXTURES_DIR (default fixtures/<host>/), keyed by method,
+// URL, body and Range header with credentials left out, so replay needs no keys. Secrets
+// are redacted before anything is written. Cached responses make no request, so record
+// with a cold cache (or Cache-Control: no-cache) to capture everything.
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+// Query params that carry credentials or account ids; left out of keys, redacted in fixtures
+const SECRET_PARAMS = /^(key|api_?key|access_?token|token|cx|signature|sig)$/i;
+// Env vars whose values must never appear in a fixture
+const SECRET_ENV = /(KEY|TOKEN|SECRET|PASSWORD|ENGINE_ID)$/;
+const REDACTED = '[REDACTED]';
+const TEXT_TYPES = /json|text|xml|javascript|html/;
+// Response headers worth keeping; cookies and upstream tracing ids are dropped
+const KEPT_HEADERS = ['content-type', 'content-length', 'content-range', 'retry-after'];
+
+export const httpMode = () => (HTTP_MODES.includes(process.env.MODE) ? process.env.MODE : 'live');
+
+export const isReplay = () => httpMode() === 'replay';
+
+export const fixturesConfig = () => ({
+  dir: process.env.FIXTURES_DIR || 'fixtures',
+  // Larger bodies (big originals) aren't recorded; callers still get them in full
+  maxBytes: readNumberEnv('FIXTURE_MAX_BYTES', 2 * 1024 * 1024),
+});
+
+// Thrown in replay mode for a request nobody recorded
+export class FixtureMissingError extends Error {
+  constructor(method, url) {
+    super(`No fixture for ${method} ${url}; record one with MODE=record`);
+    this.name = 'FixtureMissingError';
+    this.code = 'ERR_FIXTURE_MISSING';
+  }
+}
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Replace the value of every secret env var in `text`
+const scrub = (text) => Object.entries(process.env)
+  .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+  .reduce((result, [, value]) => result.split(value).join(REDACTED), text);
+
+const bodyText = (data) => {
+  if (data === undefined || data === null) return '';
+  if (typeof data === 'string') return data;
+  if (Buffer.isBuffer(data)) return data.toString('base64');
+  return JSON.stringify(data);
+};
+
+// What identifies a request: { method, url, body, range }, with credentials left out
+const describeRequest = (config) => {
+  const url = new URL(axios.getUri(config));
+  const redacted = new URL(url);
+  [...url.searchParams.keys()].forEach(name => {
+    if (!SECRET_PARAMS.test(name)) return;
+    url.searchParams.delete(name);
+    redacted.searchParams.set(name, REDACTED);
+  });
+  url.searchParams.sort();
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url: url.toString(),
+    redactedUrl: redacted.toString(),
+    body: scrub(bodyText(config.data)),
+    range: AxiosHeaders.from(config.headers).get('range') || null,
+  };
+};
+
+const fixturePath = (request) => {
+  const key = hash(JSON.stringify([request.method, request.url, request.body, request.range]));
+  const host = new URL(request.url).host.replace(/[^\w.-]/g, '_');
+  return path.join(fixturesConfig().dir, host, `${request.method.toLowerCase()}-${key.slice(0, 16)}.json`);
+};
+
+// A buffered body as bytes for the fixture, or null when it is larger than `maxBytes`
+const bodyBuffer = (data, maxBytes) => {
+  if (Buffer.isBuffer(data)) return data.length <= maxBytes ? data : null;
+  if (data instanceof ArrayBuffer) return data.byteLength <= maxBytes ? Buffer.from(data) : null;
+  const text = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+  return Buffer.byteLength(text) <= maxBytes ? Buffer.from(text) : null;
+};
+
+// Pass a streamed body to the caller unchanged while keeping a copy of up to `maxBytes`.
+// `done(buffer, truncated)` runs once the caller is finished with the stream: with what
+// went through (truncated when the caller stopped early, as image probes do), or null
+// when that was more than `maxBytes`.
+const teeStream = (source, maxBytes, done) => {
+  const output = new PassThrough();
+  const chunks = [];
+  let length = 0;
+  source.on('data', chunk => {
+    length += chunk.length;
+    if (length <= maxBytes) chunks.push(chunk);
+  });
+  source.on('error', error => output.destroy(error));
+  output.on('close', () => {
+    const truncated = !source.readableEnded;
+    if (truncated) source.destroy();
+    done(length <= maxBytes ? Buffer.concat(chunks) : null, truncated);
+  });
+  source.pipe(output);
+  return output;
+};
+
+// Readable JSON where the body is JSON, text for other text, base64 for the rest
+const encodeBody = (buffer, contentType) => {
+  if (!TEXT_TYPES.test(contentType)) return { base64: buffer.toString('base64') };
+  const text = scrub(buffer.toString('utf8'));
+  try {
+    return { json: JSON.parse(text) };
+  } catch (error) {
+    return { text };
+  }
+};
+
+const decodeBody = ({ json, text, base64 }) => {
+  if (base64 !== undefined) return Buffer.from(base64, 'base64');
+  return Buffer.from(json !== undefined ? JSON.stringify(json) : text || '');
+};
+
+// A replayed body in the shape the caller's responseType expects from an adapter
+const shapeBody = (buffer, responseType) => {
+  if (responseType === 'stream') return Readable.from([buffer]);
+  if (responseType === 'arraybuffer') return buffer;
+  return buffer.toString('utf8');
+};
+
+// Reject like axios does for statuses its validateStatus refuses
+const settle = (response) => {
+  const { config, status } = response;
+  if (!config.validateStatus || config.validateStatus(status)) return response;
+  const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  throw new AxiosError(`Request failed with status code ${status}`, code, config, response.request, response);
+};
+
+const writeFixture = async (file, fixture) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, scrub(JSON.stringify(fixture, null, 2)));
+  await fs.rename(tmp, file);
+};
+
+// Save one exchange; `buffer` is null for bodies too large to record
+const recordExchange = async (request, response, buffer, truncated = false) => {
+  if (!buffer) {
+    logger.warn('response too large to record', { url: request.redactedUrl, maxBytes: fixturesConfig().maxBytes });
+    return;
+  }
+  const contentType = String(response.headers?.['content-type'] || '');
+  const headers = Object.fromEntries(KEPT_HEADERS
+    .filter(name => response.headers?.[name] !== undefined)
+    .map(name => [name, String(response.headers[name])]));
+  let body = request.body;
+  try {
+    body = request.body ? JSON.parse(request.body) : undefined;
+  } catch (error) {
+    // Not JSON; kept as text
+  }
+  const file = fixturePath(request);
+  await writeFixture(file, {
+    request: { method: request.method, url: request.redactedUrl, body, range: request.range || undefined },
+    response: { status: response.status, statusText: response.statusText, headers, ...encodeBody(buffer, contentType), truncated: truncated || undefined },
+    recordedAt: new Date().toISOString(),
+  }).catch(error => logger.error('fixture write failed', { file, error }));
+  logger.debug('fixture recorded', { method: request.method, url: request.redactedUrl, file });
+};
+
+// Call upstream through `live` and save the exchange (error statuses included). The
+// caller gets the upstream response (or error) as it is; streamed bodies are recorded
+// once the caller has read them.
+const recordingAdapter = (live) => async (config) => {
+  const request = describeRequest(config);
+  let response;
+  let failure = null;
+  try {
+    response = await live(config);
+  } catch (error) {
+    // Network failures and timeouts aren't recorded
+    if (!error.response) throw error;
+    failure = error;
+    response = error.response;
+  }
+  const { maxBytes } = fixturesConfig();
+  if (response.data instanceof Readable) {
+    response.data = teeStream(response.data, maxBytes, (buffer, truncated) => {
+      recordExchange(request, response, buffer, truncated);
+    });
+  } else {
+    await recordExchange(request, response, bodyBuffer(response.data, maxBytes));
+  }
+  if (failure) throw failure;
+  return response;
+};
+
+// Serve the recorded exchange for a request, or fail without touching the network
+const replayingAdapter = async (config) => {
+  const request = describeRequest(config);
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixturePath(request), 'utf8'));
+  } catch (error) {
+    logger.warn('no fixture for request', { method: request.method, url: request.redactedUrl });
+    throw new FixtureMissingError(request.method, request.redactedUrl);
+  }
+  const { status, statusText = '', headers = {} } = fixture.response;
+  return settle({
+    data: shapeBody(decodeBody(fixture.response), config.responseType),
+    status,
+    statusText,
+    headers: new AxiosHeaders(headers),
+    config,
+    request: {},
+  });
+};
+
+// Swap the shared axios adapter for the configured mode; call once at startup, after the
+// environment is loaded. Returns the mode.
+export const installHttpMode = () => {
+  const mode = httpMode();
+  if (process.env.MODE && !HTTP_MODES.includes(process.env.MODE)) {
+    logger.warn('unknown MODE, using live upstream calls', { mode: process.env.MODE, modes: HTTP_MODES });
+  }
+  if (mode === 'record') axios.defaults.adapter = recordingAdapter(axios.getAdapter(axios.defaults.adapter));
+  if (mode === 'replay') axios.defaults.adapter = replayingAdapter;
+  if (mode !== 'live') logger.info('outbound HTTP mode', { mode, fixtures: fixturesConfig().dir });
+  return mode;
+};
@@ -0,0 +1,160 @@
+import sharp from 'sharp';
+import Color from 'color';
+import { colorFamily } from './palette.js';
+
+export const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+
+const SAMPLE_SIZE = 64; // Longest side after downscaling; plenty for dominant colors
+const MAX_ITERATIONS = 20;
+const MIN_SHARE = 0.02; // Clusters below 2% of the pixels are noise, not palette
+// Decompression-bomb guard for every image we decode, uploads and fetched originals alike
+export const MAX_INPUT_PIXELS = 40e6;
+
+// Thrown for uploads that aren't a decodable JPEG/PNG/WebP
+export class ImageDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageDecodeError';
+  }
+}
+
+const distance2 = (p, q) => (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+
+const decodeError = (error) => new ImageDecodeError(/pixel limit/i.test(error.message)
+  ? `Image is larger than ${MAX_INPUT_PIXELS / 1e6} megapixels`
+  : "Could not decode the image");
+
+// Decode locally and return the downscaled pixels in LAB
+const readLabPixels = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw decodeError(error);
+  }
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw new ImageDecodeError(`Unsupported image format "${metadata.format}"; use JPEG, PNG or WebP`);
+  }
+  let data, info;
+  try {
+    // Transparent pixels are flattened onto white, as they'd appear on a page
+    ({ data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  } catch (error) {
+    throw decodeError(error);
+  }
+  const pixels = [];
+  for (let i = 0; i < data.length; i += info.channels) {
+    pixels.push(Color.rgb(data[i], data[i + 1], data[i + 2]).lab().array());
+  }
+  return { pixels, width: metadata.width, height: metadata.height, format: metadata.format };
+};
+
+// Deterministic farthest-point seeding: start at the mean color, then repeatedly take
+// the pixel farthest from every centroid so far. Same image, same palette.
+const seedCentroids = (pixels, k) => {
+  const mean = [0, 1, 2].map(c => pixels.reduce((sum, p) => sum + p[c], 0) / pixels.length);
+  const centroids = [pixels.reduce((best, p) => (distance2(p, mean) < distance2(best, mean) ? p : best))];
+  while (centroids.length < k) {
+    let farthest = null;
+    let farthestDistance = -1;
+    pixels.forEach(p => {
+      const d = Math.min(...centroids.map(c => distance2(p, c)));
+      if (d > farthestDistance) {
+        farthest = p;
+        farthestDistance = d;
+      }
+    });
+    if (farthestDistance <= 0) break; // Fewer distinct colors than k
+    centroids.push(farthest);
+  }
+  return centroids.map(c => [...c]);
+};
+
+// k-means in LAB, so clusters follow perceived rather than RGB distance
+const kMeans = (pixels, k) => {
+  let centroids = seedCentroids(pixels, k);
+  let assignments = new Array(pixels.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    pixels.forEach((p, i) => {
+      let best = 0;
+      centroids.forEach((c, j) => {
+        if (distance2(p, c) < distance2(p, centroids[best])) best = j;
+      });
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+    centroids = centroids.map((c, j) => {
+      const members = pixels.filter((_, i) => assignments[i] === j);
+      if (members.length === 0) return c;
+      return [0, 1, 2].map(channel => members.reduce((sum, p) => sum + p[channel], 0) / members.length);
+    });
+  }
+  return centroids.map((lab, j) => ({
+    lab,
+    share: assignments.filter(a => a === j).length / pixels.length,
+  }));
+};
+
+const chroma = ([, a, b]) => Math.sqrt(a * a + b * b);
+const weightedAverage = (colors, value) =>
+  colors.reduce((sum, c) => sum + value(c) * c.share, 0) / (colors.reduce((sum, c) => sum + c.share, 0) || 1);
+
+// Plain-language descriptors of a palette: temperature, saturation, lightness, contrast
+const describePalette = (colors) => {
+  const tags = [];
+  const chromatic = colors.filter(c => chroma(c.lab) >= 12);
+  if (chromatic.length > 0) {
+    // LAB b* runs blue (-) to yellow (+), a* green (-) to red (+)
+    const warmth = weightedAverage(chromatic, c => c.lab[2] + c.lab[1] * 0.5);
+    if (warmth > 8) tags.push('warm');
+    else if (warmth < -8) tags.push('cool');
+  }
+  const avgChroma = weightedAverage(colors, c => chroma(c.lab));
+  if (chromatic.length === 0) tags.push('monochrome');
+  else if (avgChroma < 25) tags.push('muted');
+  else if (avgChroma > 45) tags.push('vibrant');
+
+  const avgLightness = weightedAverage(colors, c => c.lab[0]);
+  if (avgLightness > 72) tags.push('light');
+  else if (avgLightness < 35) tags.push('dark');
+
+  const prominent = colors.filter(c => c.share >= 0.05).map(c => c.lab[0]);
+  const spread = Math.max(...prominent) - Math.min(...prominent);
+  if (spread > 60) tags.push('high contrast');
+  else if (spread < 20) tags.push('low contrast');
+
+  const families = new Set(chromatic.filter(c => c.share >= 0.05).map(c => c.family));
+  if (families.size >= 4) tags.push('colorful');
+  return [...new Set(tags)];
+};
+
+// Dominant palette and descriptive tags of an uploaded image:
+// { palette: [{ hex, share, family }], tags, width, height, format }
+export const extractImagePalette = async (buffer, { colors = 5 } = {}) => {
+  const { pixels, width, height, format } = await readLabPixels(buffer);
+  if (pixels.length === 0) throw new ImageDecodeError("Image has no pixels");
+  const clusters = kMeans(pixels, colors)
+    .filter(c => c.share >= MIN_SHARE)
+    .sort((a, b) => b.share - a.share)
+    .map(c => {
+      const hex = Color.lab(...c.lab).hex();
+      return { ...c, hex, family: colorFamily(hex) };
+    });
+  return {
+    palette: clusters.map(c => ({ hex: c.hex, share: Number(c.share.toFixed(3)), family: c.family })),
+    tags: describePalette(clusters),
+    width,
+    height,
+    format,
+  };
+};
@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import sharp from 'sharp';
+import { createLimiter } from './enrichment.js';
+import { logger } from './logger.js';
+import { assertPublicUrl, publicLookup } from './netGuard.js';
+import { MAX_INPUT_PIXELS } from './imagePalette.js';
+import { readNumberEnv } from './env.js';
+
+// Output formats for resized images, best first for Accept negotiation
+export const PROXY_FORMATS = ['avif', 'webp', 'jpeg'];
+const ENCODER_OPTIONS = {
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 78 },
+  jpeg: { quality: 80, mozjpeg: true },
+};
+// Originals of these types are served as they are; anything else (SVG in particular,
+// which can carry scripts) is always re-encoded
+const PASSTHROUGH_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+// Requested sizes are rounded up to one of these, so each image has a handful of variants
+const SIZE_STEPS = [64, 128, 256, 320, 400, 480, 640, 800, 1024, 1280, 1600, 2048];
+const MAX_REDIRECTS = 5;
+
+export const imageProxyConfig = () => ({
+  enabled: process.env.IMAGE_PROXY !== 'false',
+  dir: process.env.IMAGE_CACHE_DIR || 'data/images',
+  maxBytes: readNumberEnv('IMAGE_CACHE_MAX_BYTES', 512 * 1024 * 1024),
+  timeoutMs: readNumberEnv('IMAGE_PROXY_TIMEOUT_MS', 10000),
+  maxDownloadBytes: readNumberEnv('IMAGE_PROXY_MAX_BYTES', 15 * 1024 * 1024),
+  concurrency: Math.max(1, readNumberEnv('IMAGE_PROXY_CONCURRENCY', 4)),
+  // Browser cache lifetime; an asset id is a hash of the upstream URL, so content doesn't change
+  maxAgeSeconds: readNumberEnv('IMAGE_PROXY_MAX_AGE_SECONDS', 7 * 86400),
+  thumbnailWidth: readNumberEnv('IMAGE_THUMBNAIL_WIDTH', 400),
+  // Prefix for proxied URLs in responses, e.g. https://api.example.com when the frontend
+  // is on another origin; relative URLs by default
+  baseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, ''),
+});
+
+// Upstream or input problem with a status for the route to pass on
+export class ImageProxyError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'ImageProxyError';
+    this.status = status;
+  }
+}
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// "image/svg+xml" <-> "svg+xml", so the content type survives in the file name
+const extensionOf = (contentType) => contentType.split('/')[1].replace(/[^a-z0-9+.-]/g, '');
+
+// Files named <hash of key>.<subtype> in one directory, evicted least recently used first
+// once they add up to more than `maxBytes`. The index is rebuilt from the directory on
+// first use (oldest modification time first) and reads bump a file's time.
+const createBlobStore = ({ dir, maxBytes }) => {
+  const entries = new Map();
+  let total = 0;
+  let ready = null;
+
+  const scan = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const names = (await fs.readdir(dir)).filter(name => !name.endsWith('.tmp'));
+    const files = await Promise.all(names.map(async name => {
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      return stat && { name, size: stat.size, mtime: stat.mtimeMs };
+    }));
+    files.filter(Boolean).sort((a, b) => a.mtime - b.mtime).forEach(({ name, size }) => {
+      const dot = name.indexOf('.');
+      entries.set(name.slice(0, dot), { file: name, size, contentType: `image/${name.slice(dot + 1)}` });
+      total += size;
+    });
+    await evict();
+  };
+  const init = () => (ready = ready || scan().catch(error => logger.error('image cache scan failed', { dir, error })));
+
+  const drop = async (id) => {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entries.delete(id);
+    total -= entry.size;
+    await fs.unlink(path.join(dir, entry.file)).catch(() => {});
+  };
+
+  const evict = async () => {
+    while (total > maxBytes && entries.size > 0) await drop(entries.keys().next().value);
+  };
+
+  return {
+    // { buffer, contentType } or null
+    async get(key) {
+      await init();
+      const id = hash(key);
+      const entry = entries.get(id);
+      if (!entry) return null;
+      try {
+        const buffer = await fs.readFile(path.join(dir, entry.file));
+        entries.delete(id);
+        entries.set(id, entry);
+        const now = new Date();
+        fs.utimes(path.join(dir, entry.file), now, now).catch(() => {});
+        return { buffer, contentType: entry.contentType };
+      } catch (error) {
+        await drop(id);
+        return null;
+      }
+    },
+
+    async set(key, { buffer, contentType }) {
+      await init();
+      // One image may not push everything else out
+      if (buffer.length > maxBytes / 4) return;
+      const id = hash(key);
+      const file = `${id}.${extensionOf(contentType)}`;
+      try {
+        const tmp = path.join(dir, `${file}.${process.pid}.tmp`);
+        await fs.writeFile(tmp, buffer);
+        await fs.rename(tmp, path.join(dir, file));
+      } catch (error) {
+        logger.error('image cache write failed', { error });
+        return;
+      }
+      const previous = entries.get(id);
+      if (previous) {
+        entries.delete(id);
+        total -= previous.size;
+        if (previous.file !== file) await fs.unlink(path.join(dir, previous.file)).catch(() => {});
+      }
+      entries.set(id, { file, size: buffer.length, contentType });
+      total += buffer.length;
+      await evict();
+    },
+  };
+};
+
+const config = imageProxyConfig();
+const store = createBlobStore({ dir: config.dir, maxBytes: config.maxBytes });
+const run = createLimiter(config.concurrency);
+const inflight = new Map();
+
+// Coalesce concurrent requests for the same key and cache the result on disk
+const cached = async (key, produce) => {
+  const hit = await store.get(key);
+  if (hit) return { ...hit, status: 'HIT' };
+  if (!inflight.has(key)) {
+    inflight.set(key, (async () => {
+      const value = await produce();
+      await store.set(key, value);
+      return value;
+    })().finally(() => inflight.delete(key)));
+  }
+  return { ...(await inflight.get(key)), status: 'MISS' };
+};
+
+const isHttpUrl = (url) => /^https?:\/\//i.test(url || '');
+
+// One request, redirects not followed; every hop's address is checked before connecting
+const get = (url, { signal, timeoutMs, maxBytes }) => {
+  assertPublicUrl(url);
+  return axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: timeoutMs,
+    signal,
+    maxRedirects: 0,
+    validateStatus: status => status >= 200 && status < 400,
+    lookup: publicLookup,
+    maxContentLength: maxBytes,
+    headers: { Accept: 'image/avif,image/webp,image/*' },
+  });
+};
+
+const download = async (url, { timeoutMs, maxBytes }) => {
+  if (!isHttpUrl(url)) throw new ImageProxyError('Image URL is not http(s)', 404);
+  const signal = AbortSignal.timeout(timeoutMs);
+  let response;
+  try {
+    let location = url;
+    for (let hop = 0; ; hop++) {
+      response = await get(location, { signal, timeoutMs, maxBytes });
+      if (response.status < 300) break;
+      const next = response.headers.location && new URL(response.headers.location, location).toString();
+      if (!isHttpUrl(next)) throw new ImageProxyError('Upstream image redirected to a non-http(s) URL', 502);
+      if (hop >= MAX_REDIRECTS) throw new ImageProxyError('Upstream image redirected too many times', 502);
+      location = next;
+    }
+  } catch (error) {
+    if (error instanceof ImageProxyError) throw error;
+    if (error.code === 'ERR_BLOCKED_ADDRESS') throw new ImageProxyError('Image URL is not a public address', 403);
+    if (error.response) throw new ImageProxyError(`Upstream image returned ${error.response.status}`, 502);
+    if (error.message?.includes('maxContentLength')) throw new ImageProxyError('Upstream image is too large', 502);
+    throw new ImageProxyError('Upstream image timed out', 504);
+  }
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!contentType.startsWith('image/')) throw new ImageProxyError('Upstream URL is not an image', 502);
+  return { buffer: Buffer.from(response.data), contentType };
+};
+
+// An upstream image's bytes, downloaded once and then served from the disk cache.
+// Throws ImageProxyError. Moodboards and swatches read images through here too.
+export const fetchImage = (url, { timeoutMs = config.timeoutMs, maxBytes = config.maxDownloadBytes } = {}) =>
+  cached(`original:${url}`, () => run(() => download(url, { timeoutMs, maxBytes })));
+
+// The asset's original, falling back to the provider's thumbnail when the original is
+// hotlink-protected, gone or too large
+const fetchAsset = async (image) => {
+  try {
+    return await fetchImage(image.image);
+  } catch (error) {
+    if (!image.thumbnail || image.thumbnail === image.image) throw error;
+    logger.warn('image proxy falling back to thumbnail', { asset: image.id, error });
+    return fetchImage(image.thumbnail);
+  }
+};
+
+const snapSize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new ImageProxyError('w and h must be positive integers', 400);
+  return SIZE_STEPS.find(step => step >= number) || SIZE_STEPS[SIZE_STEPS.length - 1];
+};
+
+// `format` wins; otherwise the best format the client accepts, JPEG for everyone else
+const chooseFormat = (format, accept = '') => {
+  if (format) {
+    if (!PROXY_FORMATS.includes(format)) throw new ImageProxyError(`format must be one of ${PROXY_FORMATS.join(', ')}`, 400);
+    return format;
+  }
+  return PROXY_FORMATS.find(candidate => accept.includes(`image/${candidate}`)) || 'jpeg';
+};
+
+// Parse w/h/format query params into a variant { width, height, format, negotiated },
+// or null for the original as it is
+export const parseVariant = ({ w, h, format } = {}, accept) => {
+  const width = snapSize(w);
+  const height = snapSize(h);
+  if (!width && !height && !format) return null;
+  return { width, height, format: chooseFormat(format, accept), negotiated: !format };
+};
+
+const render = async (source, { width, height, format }) => {
+  try {
+    const buffer = await sharp(source.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: width || undefined, height: height || undefined, fit: width && height ? 'cover' : 'inside', withoutEnlargement: true })
+      .toFormat(format, ENCODER_OPTIONS[format])
+      .toBuffer();
+    return { buffer, contentType: `image/${format}` };
+  } catch (error) {
+    throw new ImageProxyError('Upstream image could not be decoded', 502);
+  }
+};
+
+// The image for an asset as { buffer, contentType, status } where status is HIT or MISS
+// for the requested variant. Without a variant the original is served unless it's a type
+// browsers shouldn't get from this origin, which is converted to WebP.
+export const proxyImage = async (image, variant) => {
+  if (!variant) {
+    const source = await fetchAsset(image);
+    if (PASSTHROUGH_TYPES.includes(source.contentType)) return source;
+  }
+  const target = variant || { width: null, height: null, format: 'webp' };
+  // Keyed by the URLs the variant is rendered from, never by the id a record claims
+  const key = `variant:${hash(`${image.image}\n${image.thumbnail || ''}`)}:${target.width || ''}x${target.height || ''}.${target.format}`;
+  return cached(key, async () => {
+    const source = await fetchAsset(image);
+    return run(() => render(source, target));
+  });
+};
+
+// Proxied thumbnail URL for an image /search serves, or its upstream thumbnail when the
+// proxy is off
+export const proxiedThumbnail = (image) => {
+  const { enabled, baseUrl, thumbnailWidth } = imageProxyConfig();
+  if (!enabled) return image.thumbnail;
+  return `${baseUrl}/img/${image.id}?w=${thumbnailWidth}`;
+};
@@ -0,0 +1,82 @@
+// Normalized rights information carried by every image as `license`:
+// { type, commercialUse, attributionRequired, attribution, author, sourceUrl, licenseUrl }.
+// `commercialUse` and `attributionRequired` are null when nobody can tell (rights have
+// to be cleared with the owner before the image is used in client work).
+export const LICENSE_TYPES = ['free', 'premium', 'unknown', 'ai-generated'];
+export const LICENSE_FILTERS = ['free', 'commercial', 'any'];
+
+// What each type allows as is. Free stock may be used commercially with credit; premium
+// stock needs a paid subscription first.
+const TERMS = {
+  free: { commercialUse: true, attributionRequired: true },
+  premium: { commercialUse: false, attributionRequired: false },
+  'ai-generated': { commercialUse: true, attributionRequired: false },
+  unknown: { commercialUse: null, attributionRequired: null },
+};
+
+// License types each ?license= value lets through
+const ALLOWED_TYPES = {
+  free: ['free'],
+  commercial: ['free', 'ai-generated'],
+  any: LICENSE_TYPES,
+};
+
+const creditLine = ({ type, author, source }) => {
+  if (type === 'ai-generated') return `Generated with ${source}`;
+  return author ? `Image by ${author} on ${source}` : `Image from ${source}`;
+};
+
+// License block for a provider's normalize(); `source` is the site to credit
+export const buildLicense = ({ type, source, author = null, sourceUrl = null, licenseUrl = null }) => ({
+  type,
+  ...TERMS[type],
+  attribution: creditLine({ type, author, source }),
+  author,
+  sourceUrl: sourceUrl || null,
+  licenseUrl,
+});
+
+// An image's license, derived for records cached before licenses were attached
+export const licenseOf = (image) => image.license || buildLicense({
+  type: 'unknown',
+  source: image.source || 'unknown source',
+  author: image.author || null,
+  sourceUrl: image.url || null,
+});
+
+// ?license= value, or "any" when missing or invalid
+export const parseLicenseFilter = (value) => (LICENSE_FILTERS.includes(value) ? value : 'any');
+
+export const allowedLicenseTypes = (filter) => ALLOWED_TYPES[filter] || LICENSE_TYPES;
+
+export const matchesLicense = (image, filter) => allowedLicenseTypes(filter).includes(licenseOf(image).type);
+
+// Credits for a set of images: one entry each, plus which ones aren't cleared for
+// commercial use as they are (premium, or rights unknown)
+export const buildCredits = (images) => {
+  const credits = images.map(image => {
+    const license = licenseOf(image);
+    return {
+      assetId: image.id,
+      title: image.title || null,
+      image: image.image,
+      source: image.source || null,
+      ...license,
+    };
+  });
+  return {
+    credits,
+    notCleared: credits.filter(credit => credit.commercialUse !== true).map(({ assetId, type }) => ({ assetId, type })),
+  };
+};
+
+// Plain-text credits list: required attributions first, then everything else
+export const creditsToText = ({ credits }) => {
+  const line = (credit) => `- ${credit.attribution}${credit.sourceUrl ? ` (${credit.sourceUrl})` : ''}`;
+  const required = credits.filter(credit => credit.attributionRequired);
+  const other = credits.filter(credit => !credit.attributionRequired);
+  return [
+    required.length > 0 ? ['Attribution required:', ...required.map(line)].join('\n') : null,
+    other.length > 0 ? ['Other sources:', ...other.map(line)].join('\n') : null,
+  ].filter(Boolean).join('\n\n');
+};
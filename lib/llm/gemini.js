@@ -0,0 +1,28 @@
+export default {
+  name: "gemini",
+  defaultModel: "gemini-1.5-flash",
+  defaultEndpoint: "https://generativelanguage.googleapis.com/v1",
+  keyEnv: ["GEMINI_API_KEY"],
+
+  buildRequest({ endpoint, model, apiKey, prompt, generation }) {
+    return {
+      url: `${endpoint}/models/${encodeURIComponent(model)}:generateContent`,
+      // Key in a header rather than the query string, so it stays out of URL logs
+      headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+      data: {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: generation,
+      },
+    };
+  },
+
+  parseResponse(data) {
+    return {
+      text: data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '',
+      usage: {
+        promptTokens: data.usageMetadata?.promptTokenCount ?? null,
+        outputTokens: data.usageMetadata?.candidatesTokenCount ?? null,
+      },
+    };
+  },
+};
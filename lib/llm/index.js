@@ -0,0 +1,127 @@
+import axios from 'axios';
+import gemini from './gemini.js';
+import openai from './openai.js';
+import { aiCache, cacheKey } from '../cache.js';
+import { withRetry } from '../resilience.js';
+import { usageTracker } from '../budgets.js';
+import { logger } from '../logger.js';
+import { recordLlmUsage } from '../metrics.js';
+import { isReplay } from '../httpMode.js';
+import { readJsonEnv, readNumberEnv } from '../env.js';
+
+// Every model backend implements the same adapter interface:
+//   name                 - registry key, selected with LLM_PROVIDER
+//   defaultModel, defaultEndpoint - used unless LLM_MODEL / LLM_ENDPOINT are set
+//   keyEnv               - env keys holding the API key (LLM_API_KEY takes precedence)
+//   keyOptional          - whether a custom endpoint may be called without a key
+//   buildRequest({ endpoint, model, apiKey, prompt, generation }) - { url, headers, data }
+//   parseResponse(data)  - { text, usage: { promptTokens, outputTokens } }
+const adapters = new Map([gemini, openai].map(adapter => [adapter.name, adapter]));
+
+// Thrown when no model is configured, so callers can go straight to their fallback
+export class LlmUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LlmUnavailableError';
+  }
+}
+
+const DEFAULT_GENERATION = { temperature: 0.7, topP: 0.95, maxOutputTokens: 2048 };
+
+// Provider-neutral generation config: defaults, overridden by LLM_GENERATION_CONFIG (JSON)
+const generationConfig = () => readJsonEnv('LLM_GENERATION_CONFIG', DEFAULT_GENERATION);
+
+// The endpoint's host, or null unless it is an http(s) URL
+const endpointHost = (endpoint) => {
+  try {
+    const url = new URL(endpoint);
+    return /^https?:$/.test(url.protocol) ? url.host : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// A bad LLM_ENDPOINT leaves the model unconfigured with `error` set, like a missing key
+export const llmConfig = () => {
+  const adapter = adapters.get((process.env.LLM_PROVIDER || 'gemini').toLowerCase());
+  if (!adapter) return { adapter: null, error: `Unknown LLM_PROVIDER "${process.env.LLM_PROVIDER}"` };
+  const apiKey = process.env.LLM_API_KEY || adapter.keyEnv.map(key => process.env[key]).find(Boolean) || '';
+  const customEndpoint = process.env.LLM_ENDPOINT || '';
+  const endpoint = (customEndpoint || adapter.defaultEndpoint).replace(/\/$/, '');
+  const host = endpointHost(endpoint);
+  return {
+    adapter,
+    provider: adapter.name,
+    model: process.env.LLM_MODEL || adapter.defaultModel,
+    endpoint,
+    host,
+    apiKey,
+    configured: Boolean(host) && (Boolean(apiKey) || Boolean(adapter.keyOptional && customEndpoint) || isReplay()),
+    error: host ? undefined : 'LLM_ENDPOINT must be an http(s) URL',
+    generation: generationConfig(),
+    // GEMINI_TIMEOUT_MS is the older name for the same setting
+    timeoutMs: readNumberEnv('LLM_TIMEOUT_MS', readNumberEnv('GEMINI_TIMEOUT_MS', 20000)),
+    maxRetries: readNumberEnv('LLM_MAX_RETRIES', 2),
+  };
+};
+
+export const isLlmConfigured = () => Boolean(llmConfig().configured);
+
+// Model, endpoint host and prompt in use, without the key
+export const describeLlm = () => {
+  const config = llmConfig();
+  if (!config.adapter) return { configured: false, error: config.error };
+  return {
+    provider: config.provider,
+    model: config.model,
+    endpoint: config.host,
+    configured: config.configured,
+    error: config.error,
+    generation: config.generation,
+  };
+};
+
+// Generate text for a rendered prompt ({ id, text, vars }). Returns
+// { text, provider, model, prompt, usage, cached }; throws LlmUnavailableError when no
+// model is configured or its daily budget is spent, and the upstream error once
+// retries are spent. Non-empty answers are cached per (provider, model, prompt id,
+// generation config, prompt vars).
+export const generateText = async (prompt, { refresh = false } = {}) => {
+  const config = llmConfig();
+  if (!config.adapter) throw new LlmUnavailableError(config.error);
+  if (!config.configured) throw new LlmUnavailableError(config.error || `No API key for LLM provider "${config.provider}"`);
+
+  const { adapter, endpoint, model, apiKey, generation } = config;
+  const key = cacheKey('llm', {
+    provider: adapter.name,
+    model,
+    prompt: prompt.id,
+    generation: JSON.stringify(generation),
+    ...prompt.vars
+  });
+  const { value, status } = await aiCache.wrap(key, async () => {
+    const startedAt = Date.now();
+    const { url, headers, data } = adapter.buildRequest({ endpoint, model, apiKey, prompt: prompt.text, generation });
+    const response = await withRetry(
+      request => {
+        // Out of budget falls back like a missing key would
+        if (!usageTracker.allow('llm')) throw new LlmUnavailableError("Daily budget for llm exhausted");
+        usageTracker.spend('llm');
+        return axios.post(url, data, { headers, ...request });
+      },
+      { deadlineMs: config.timeoutMs, maxRetries: config.maxRetries }
+    );
+    const result = adapter.parseResponse(response.data);
+    recordLlmUsage({ provider: adapter.name, model, usage: result.usage });
+    logger.info('llm call', { provider: adapter.name, model, prompt: prompt.id, latencyMs: Date.now() - startedAt, usage: result.usage });
+    return result;
+  }, { shouldCache: result => Boolean(result.text), refresh });
+
+  return {
+    ...value,
+    provider: adapter.name,
+    model,
+    prompt: prompt.id,
+    cached: status === 'HIT' || status === 'COALESCED',
+  };
+};
@@ -0,0 +1,33 @@
+// Any OpenAI-compatible chat completions API (OpenAI, Azure-style gateways, local servers)
+export default {
+  name: "openai",
+  defaultModel: "gpt-4o-mini",
+  defaultEndpoint: "https://api.openai.com/v1",
+  keyEnv: ["OPENAI_API_KEY"],
+  // Local servers behind a custom LLM_ENDPOINT usually take no key
+  keyOptional: true,
+
+  buildRequest({ endpoint, model, apiKey, prompt, generation }) {
+    return {
+      url: `${endpoint}/chat/completions`,
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      data: {
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: generation.temperature,
+        top_p: generation.topP,
+        max_tokens: generation.maxOutputTokens,
+      },
+    };
+  },
+
+  parseResponse(data) {
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: {
+        promptTokens: data.usage?.prompt_tokens ?? null,
+        outputTokens: data.usage?.completion_tokens ?? null,
+      },
+    };
+  },
+};
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// One JSON object per line: { time, level, msg, requestId, ...fields }. The request id
+// comes from the async context, so provider and model calls made while serving a
+// request are tagged without passing it around. LOG_LEVEL sets the threshold and
+// LOG_FORMAT=pretty prints readable lines for local development.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+export const currentRequestId = () => context.getStore()?.requestId || null;
+
+// Errors don't serialize to JSON on their own; keep what helps debugging
+const serialize = (value) => {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    code: value.code,
+    status: value.response?.status ?? value.status,
+    upstream: value.response?.data?.error?.message,
+  };
+};
+
+const write = (level, msg, fields = {}) => {
+  const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+  const time = new Date().toISOString();
+  const details = { requestId: currentRequestId() || undefined };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) details[key] = serialize(value);
+  });
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const pairs = Object.entries(details).filter(([, value]) => value !== undefined)
+      .map(([key, value]) => ` ${key}=${JSON.stringify(value)}`).join('');
+    stream.write(`${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)} ${msg}${pairs}\n`);
+    return;
+  }
+  stream.write(`${JSON.stringify({ time, level, msg, ...details })}\n`);
+};
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+// Client-supplied ids are kept when they look like ids, so traces can span services
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Middleware: give each request an id (X-Request-Id in and out), run the rest of the
+// request in its context and log one line when the response finishes
+export const requestLogger = () => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  context.run({ requestId }, () => {
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+      write(level, 'request completed', {
+        requestId,
+        method: req.method,
+        route: routeOf(req),
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        client: req.client?.name,
+      });
+    });
+    next();
+  });
+};
+
+// Matched route template ("/boards/:id"), so metrics and logs group by route, not URL
+export const routeOf = (req) => (req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched');
@@ -0,0 +1,27 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Model output is untrusted: it is parsed as markdown, then everything outside this
+// allowlist (tags, attributes, URL schemes) is dropped before the frontend renders it
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'ul', 'ol', 'li',
+    'strong', 'em', 'del', 'code', 'pre', 'blockquote', 'a',
+  ],
+  // target and rel are always overwritten by the transform below
+  allowedAttributes: { a: ['href', 'title', 'target', 'rel'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesAppliedToAttributes: ['href'],
+  allowProtocolRelative: false,
+  disallowedTagsMode: 'discard',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' }),
+  },
+};
+
+// GFM so bare URLs become links; raw HTML in the markdown is left to the sanitizer
+const marked = new Marked({ gfm: true, breaks: false, async: false });
+
+export const sanitizeAiHtml = (html) => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+export const markdownToSafeHtml = (markdown = '') => sanitizeAiHtml(marked.parse(markdown));
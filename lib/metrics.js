@@ -0,0 +1,70 @@
+import client from 'prom-client';
+import { routeOf } from './logger.js';
+
+// Prometheus metrics, served by GET /metrics. Error rates are derived at query time,
+// e.g. sum by (provider) (rate(inspo_provider_calls_total{status!="ok"}[5m]))
+// / sum by (provider) (rate(inspo_provider_calls_total[5m])).
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'inspo_' });
+
+const httpDuration = new client.Histogram({
+  name: 'inspo_http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+const providerCalls = new client.Counter({
+  name: 'inspo_provider_calls_total',
+  help: 'Image provider calls by outcome (ok, error, timeout, circuit-open, budget-exhausted)',
+  labelNames: ['provider', 'status', 'cached'],
+  registers: [registry],
+});
+
+const providerDuration = new client.Histogram({
+  name: 'inspo_provider_call_duration_seconds',
+  help: 'Image provider call latency, retries included',
+  labelNames: ['provider', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32],
+  registers: [registry],
+});
+
+const searchResults = new client.Histogram({
+  name: 'inspo_search_results',
+  help: 'Images returned per search and category',
+  labelNames: ['category'],
+  buckets: [0, 1, 5, 10, 20, 40, 80],
+  registers: [registry],
+});
+
+const llmTokens = new client.Counter({
+  name: 'inspo_llm_tokens_total',
+  help: 'Tokens spent on model calls (cached answers excluded)',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [registry],
+});
+
+// Middleware: time every response under its route template
+export const httpMetrics = () => (req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => end({ method: req.method, route: routeOf(req), status: res.statusCode }));
+  next();
+};
+
+// `report` is a runProvider report: { name, status, latencyMs, cached }
+export const recordProviderCall = (report) => {
+  providerCalls.inc({ provider: report.name, status: report.status, cached: String(Boolean(report.cached)) });
+  providerDuration.observe({ provider: report.name, status: report.status }, report.latencyMs / 1000);
+};
+
+// `counts` maps each category to the number of images the search returned for it
+export const recordSearchResults = (counts) => {
+  Object.entries(counts).forEach(([category, count]) => searchResults.observe({ category }, count));
+};
+
+// `usage` is an adapter's { promptTokens, outputTokens }, either of which may be null
+export const recordLlmUsage = ({ provider, model, usage = {} }) => {
+  if (usage.promptTokens) llmTokens.inc({ provider, model, type: 'prompt' }, usage.promptTokens);
+  if (usage.outputTokens) llmTokens.inc({ provider, model, type: 'output' }, usage.outputTokens);
+};
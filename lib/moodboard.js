@@ -0,0 +1,195 @@
+import Color from 'color';
+import { createLimiter } from './enrichment.js';
+import { proxyImage, parseVariant } from './imageProxy.js';
+import { logger } from './logger.js';
+import { readNumberEnv } from './env.js';
+
+export const LAYOUTS = ['grid', 'masonry', 'one-pager'];
+
+// Wide enough for the largest layout cell at print resolution
+const INLINE_WIDTH = 1024;
+const ONE_PAGER_IMAGES = 6;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Embed each image as a data URI so the file works offline, downscaled from the image
+// cache; images that can't be read are left out
+export const inlineImages = async (images, { concurrency = 6, width = INLINE_WIDTH } = {}) => {
+  const run = createLimiter(concurrency);
+  const variant = parseVariant({ w: width, format: 'webp' });
+  const inlined = await Promise.all(images.map(img => run(async () => {
+    try {
+      const { buffer, contentType } = await proxyImage(img, variant);
+      return { ...img, dataUri: `data:${contentType};base64,${buffer.toString('base64')}` };
+    } catch (error) {
+      logger.warn('moodboard image skipped', { image: img.image, error });
+      return null;
+    }
+  })));
+  return inlined.filter(Boolean);
+};
+
+const LAYOUT_CSS = {
+  'grid': `
+    .images { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+    .images figure { aspect-ratio: 1; }
+    .images img { width: 100%; height: 100%; object-fit: cover; }`,
+  'masonry': `
+    .images { column-count: 3; column-gap: 12px; }
+    .images figure { break-inside: avoid; margin-bottom: 12px; }
+    .images img { width: 100%; height: auto; }`,
+  'one-pager': `
+    @page { size: A4 landscape; margin: 10mm; }
+    body { height: 190mm; overflow: hidden; }
+    main { display: grid; grid-template-columns: 1fr 2fr; gap: 18px; }
+    .images { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+    .images figure { aspect-ratio: 4 / 3; }
+    .images img { width: 100%; height: 100%; object-fit: cover; }
+    .images figcaption { display: none; }`,
+};
+
+const renderSwatch = ({ hex, role, description }) => {
+  const textColor = Color(hex).isLight() ? '#111' : '#fff';
+  return `
+      <div class="swatch" style="background:${hex};color:${textColor}">
+        <strong>${escapeHtml(hex)}</strong>
+        ${role ? `<span>${escapeHtml(role)}</span>` : ''}
+        ${description ? `<small>${escapeHtml(description)}</small>` : ''}
+      </div>`;
+};
+
+const renderTypography = (typography, fontPairings) => {
+  if (typography.length === 0 && fontPairings.length === 0) return '';
+  const fonts = typography.map(t => `
+        <li><span class="font-name" style="font-family:'${escapeHtml(t.family)}',serif">${escapeHtml(t.family)}</span>
+          ${[t.weight, t.style !== 'normal' ? t.style : null].filter(Boolean).map(escapeHtml).join(', ')}
+          ${t.usage ? `<small>${escapeHtml(t.usage)}</small>` : ''}</li>`).join('');
+  const pairings = fontPairings.map(p => `
+        <li><strong>${escapeHtml(p.headline)}</strong> + ${escapeHtml(p.body)}${p.context ? ` <small>${escapeHtml(p.context)}</small>` : ''}</li>`).join('');
+  return `
+    <section class="typography">
+      ${fonts ? `<h2>Typography</h2><ul>${fonts}</ul>` : ''}
+      ${pairings ? `<h2>Font pairings</h2><ul>${pairings}</ul>` : ''}
+    </section>`;
+};
+
+const renderImage = (img) => `
+      <figure>
+        <img src="${img.dataUri || escapeHtml(img.image)}" alt="${escapeHtml(img.title)}">
+        <figcaption>${escapeHtml(img.title)}${img.source ? ` · ${escapeHtml(img.source)}` : ''}</figcaption>
+      </figure>`;
+
+// Standalone moodboard document. `palette` entries are { hex, role?, description? }.
+export const renderMoodboardHtml = ({ title, palette = [], typography = [], fontPairings = [], images = [], layout = 'grid', subtitle = '' }) => {
+  const shown = layout === 'one-pager' ? images.slice(0, ONE_PAGER_IMAGES) : images;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 32px; font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1b1b1b; background: #fafafa; }
+    header h1 { margin: 0 0 4px; font-size: 28px; }
+    header p { margin: 0 0 24px; color: #666; }
+    h2 { font-size: 14px; text-transform: uppercase; letter-spacing: .08em; color: #555; margin: 0 0 8px; }
+    .palette { display: flex; gap: 8px; margin-bottom: 24px; }
+    .swatch { flex: 1; min-height: 90px; padding: 10px; border-radius: 8px; display: flex; flex-direction: column; justify-content: flex-end; font-size: 12px; }
+    .swatch small { opacity: .8; }
+    .typography ul { list-style: none; padding: 0; margin: 0 0 16px; }
+    .typography li { margin-bottom: 6px; font-size: 13px; }
+    .typography small { display: block; color: #777; }
+    .font-name { font-size: 18px; margin-right: 6px; }
+    figure { margin: 0; overflow: hidden; border-radius: 6px; background: #eee; }
+    figcaption { font-size: 11px; color: #666; padding: 4px 2px; }
+    @media print { body { background: #fff; } }
+    ${LAYOUT_CSS[layout] || LAYOUT_CSS.grid}
+  </style>
+</head>
+<body class="layout-${escapeHtml(layout)}">
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    ${subtitle ? `<p>${escapeHtml(subtitle)}</p>` : ''}
+  </header>
+  <main>
+    <div class="details">
+      ${palette.length ? `<section><h2>Color palette</h2><div class="palette">${palette.map(renderSwatch).join('')}</div></section>` : ''}
+      ${renderTypography(typography, fontPairings)}
+    </div>
+    <section class="images">${shown.map(renderImage).join('')}
+    </section>
+  </main>
+</body>
+</html>`;
+};
+
+// Thrown when PDF_MAX_QUEUED renders are already waiting; the route turns it into a 503
+export class PdfQueueFullError extends Error {
+  constructor() {
+    super('Too many PDF exports in progress, try again shortly');
+    this.name = 'PdfQueueFullError';
+  }
+}
+
+export const pdfConfig = () => ({
+  // Each render runs its own Chromium, a few hundred MB apiece
+  concurrency: Math.max(1, readNumberEnv('PDF_CONCURRENCY', 2)),
+  maxQueued: readNumberEnv('PDF_MAX_QUEUED', 8),
+});
+
+const launchChromium = async () => {
+  // Loaded on demand so the server starts without Chromium installed
+  const { default: puppeteer } = await import('puppeteer');
+  return puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage'],
+  });
+};
+
+// Render the moodboard HTML to PDF in headless Chromium, at most `concurrency` at once
+// with up to `maxQueued` waiting. JavaScript and all network requests are blocked: the
+// document is self-contained, so nothing should load.
+export const createPdfRenderer = ({ launch = launchChromium, ...options } = {}) => {
+  const { concurrency, maxQueued } = { ...pdfConfig(), ...options };
+  const run = createLimiter(concurrency);
+  let pending = 0;
+
+  const render = async (html, layout) => {
+    const browser = await launch();
+    try {
+      const page = await browser.newPage();
+      await page.setJavaScriptEnabled(false);
+      await page.setRequestInterception(true);
+      page.on('request', request => (request.url().startsWith('data:') ? request.continue() : request.abort()));
+      await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+      return await page.pdf({
+        format: 'A4',
+        landscape: layout !== 'masonry',
+        printBackground: true,
+        preferCSSPageSize: layout === 'one-pager',
+        pageRanges: layout === 'one-pager' ? '1' : '',
+        margin: { top: '10mm', bottom: '10mm', left: '10mm', right: '10mm' },
+      });
+    } finally {
+      await browser.close();
+    }
+  };
+
+  return async (html, { layout = 'grid' } = {}) => {
+    if (pending >= concurrency + maxQueued) throw new PdfQueueFullError();
+    pending++;
+    try {
+      return await run(() => render(html, layout));
+    } finally {
+      pending--;
+    }
+  };
+};
+
+export const renderMoodboardPdf = createPdfRenderer();
@@ -0,0 +1,51 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// Outbound requests to URLs we didn't build ourselves (image originals, thumbnails) may
+// only reach public addresses: nothing on this host, the private network, link-local
+// (cloud metadata at 169.254.169.254) or other reserved ranges. IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// Thrown for URLs that point at a blocked address
+export class BlockedAddressError extends Error {
+  constructor(host) {
+    super(`${host} is not a public address`);
+    this.name = 'BlockedAddressError';
+    this.code = 'ERR_BLOCKED_ADDRESS';
+  }
+}
+
+// True for anything that isn't a public unicast IP (including strings that aren't IPs)
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// `lookup` for an axios request config: resolves like the default one but fails the
+// connection when the name resolves to a blocked address, so the check covers the
+// address actually connected to
+export const publicLookup = async (hostname, options = {}) => {
+  const addresses = await dns.lookup(hostname, { all: true, family: options.family || 0 });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new BlockedAddressError(hostname);
+  }
+  return addresses;
+};
+
+// Throws BlockedAddressError for a URL naming a blocked IP directly; sockets skip
+// `lookup` for IP literals
+export const assertPublicUrl = (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) throw new BlockedAddressError(host);
+};
@@ -0,0 +1,150 @@
+import Color from 'color';
+
+// Hue offsets (degrees) for each harmony scheme, relative to the base color
+const HUE_SCHEMES = {
+  'complementary': [0, 180],
+  'split-complementary': [0, 150, 210],
+  'analogous': [0, -30, 30, -60, 60],
+  'triadic': [0, 120, 240],
+  'tetradic': [0, 90, 180, 270],
+};
+
+// LAB lightness targets used for monochrome tints and shades
+const MONOCHROME_LIGHTNESS = [92, 78, 62, 45, 30, 18];
+
+export const SCHEMES = [...Object.keys(HUE_SCHEMES), 'monochrome'];
+
+// Accepts "#abc", "abc", "#AABBCC" or "aabbcc" and returns "#AABBCC" (or null if invalid)
+export const normalizeHex = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^#?([A-Fa-f0-9]{3}|[A-Fa-f0-9]{6})$/);
+  if (!match) return null;
+  let hex = match[1];
+  if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+  return `#${hex.toUpperCase()}`;
+};
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+export const toHsl = (hex) => {
+  const { h, s, l } = Color(hex).hsl().object();
+  return { h: round(h), s: round(s), l: round(l) };
+};
+
+export const toLab = (hex) => {
+  const [l, a, b] = Color(hex).lab().array();
+  return { l: round(l), a: round(a), b: round(b) };
+};
+
+export const rotateHue = (hex, degrees) => Color(hex).rotate(degrees).hex();
+
+// Shift perceptual lightness (LAB L*) by a fraction of the full range, e.g. 0.2 = +20 L*
+export const adjustLightness = (hex, amount) => {
+  const [l, a, b] = Color(hex).lab().array();
+  const target = Math.min(100, Math.max(0, l + amount * 100));
+  return Color.lab(target, a, b).hex();
+};
+
+const setLabLightness = (hex, lightness) => {
+  const [, a, b] = Color(hex).lab().array();
+  // Pull chroma in at the extremes so tints and shades stay inside the sRGB gamut
+  const chromaScale = 1 - Math.abs(lightness - 50) / 100;
+  return Color.lab(lightness, a * chromaScale, b * chromaScale).hex();
+};
+
+const monochrome = (hex) => {
+  const baseLightness = Color(hex).lab().array()[0];
+  // Skip the step closest to the base so it doesn't duplicate it
+  const closest = MONOCHROME_LIGHTNESS.reduce((best, l) =>
+    Math.abs(l - baseLightness) < Math.abs(best - baseLightness) ? l : best);
+  return [hex, ...MONOCHROME_LIGHTNESS.filter(l => l !== closest).map(l => setLabLightness(hex, l))];
+};
+
+// Pick a scheme from the base color itself: greys only work as monochrome, pastel or very
+// dark colors stay calm with analogous hues, and saturated colors get a scheme sized to
+// the number of colors still needed.
+export const chooseScheme = (hex, needed = 2) => {
+  const { s, l } = toHsl(hex);
+  if (s < 12) return 'monochrome';
+  if (l > 80 || l < 20) return 'analogous';
+  if (needed <= 1) return 'complementary';
+  if (needed === 2) return s > 60 ? 'triadic' : 'split-complementary';
+  return 'tetradic';
+};
+
+// Returns the full palette for a scheme, base color first
+export const generatePalette = (base, scheme = null) => {
+  const hex = normalizeHex(base);
+  if (!hex) throw new Error(`Invalid base color: ${base}`);
+  const resolved = scheme || chooseScheme(hex);
+  if (resolved === 'monochrome') return monochrome(hex);
+  const offsets = HUE_SCHEMES[resolved];
+  if (!offsets) throw new Error(`Unknown color scheme: ${scheme}`);
+  return [...new Set(offsets.map(deg => (deg === 0 ? hex : rotateHue(hex, deg))))];
+};
+
+// Full color description used by the /palette route
+export const describeColor = (hex) => ({
+  hex,
+  hsl: toHsl(hex),
+  lab: toLab(hex),
+  isLight: Color(hex).isLight(),
+});
+
+// Plain-language color family for a hex, used to match colors against result text
+export const colorFamily = (hex) => {
+  const normalized = normalizeHex(hex);
+  if (!normalized) return null;
+  const { h, s, l } = toHsl(normalized);
+  if (l < 12) return 'black';
+  if (l > 92) return 'white';
+  if (s < 12) return 'gray';
+  if (l < 35 && h >= 15 && h < 45) return 'brown';
+  if (l > 75 && (h >= 330 || h < 15)) return 'pink';
+  const families = [[15, 'red'], [45, 'orange'], [70, 'yellow'], [160, 'green'], [195, 'teal'], [255, 'blue'], [290, 'purple'], [340, 'pink'], [360, 'red']];
+  return families.find(([max]) => h < max)[1];
+};
+
+const DEG = Math.PI / 180;
+const labOf = (color) => (Array.isArray(color) ? color : Color(color).lab().array());
+
+// Perceptual distance between two colors (hex or [L, a, b]) per CIEDE2000. Roughly:
+// under 2 is barely visible, around 10 is the same color family, 30+ a different color.
+export const deltaE2000 = (first, second) => {
+  const [l1, a1, b1] = labOf(first);
+  const [l2, a2, b2] = labOf(second);
+  const chromaMean = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(chromaMean ** 7 / (chromaMean ** 7 + 25 ** 7)));
+  const ap1 = a1 * (1 + g);
+  const ap2 = a2 * (1 + g);
+  const cp1 = Math.hypot(ap1, b1);
+  const cp2 = Math.hypot(ap2, b2);
+  const hueOf = (b, a) => (a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / DEG + 360) % 360);
+  const hp1 = hueOf(b1, ap1);
+  const hp2 = hueOf(b2, ap2);
+  const achromatic = cp1 * cp2 === 0;
+
+  let dhp = achromatic ? 0 : hp2 - hp1;
+  if (dhp > 180) dhp -= 360;
+  else if (dhp < -180) dhp += 360;
+  const dL = l2 - l1;
+  const dC = cp2 - cp1;
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dhp * DEG) / 2);
+
+  const lMean = (l1 + l2) / 2;
+  const cMean = (cp1 + cp2) / 2;
+  let hMean = hp1 + hp2;
+  if (!achromatic) {
+    if (Math.abs(hp1 - hp2) > 180) hMean += hMean < 360 ? 360 : -360;
+    hMean /= 2;
+  }
+  const t = 1 - 0.17 * Math.cos((hMean - 30) * DEG) + 0.24 * Math.cos(2 * hMean * DEG)
+    + 0.32 * Math.cos((3 * hMean + 6) * DEG) - 0.2 * Math.cos((4 * hMean - 63) * DEG);
+  const rotation = 30 * Math.exp(-(((hMean - 275) / 25) ** 2));
+  const rc = 2 * Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7));
+  const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sc = 1 + 0.045 * cMean;
+  const sh = 1 + 0.015 * cMean * t;
+  const rt = -Math.sin(2 * rotation * DEG) * rc;
+  return Math.sqrt((dL / sl) ** 2 + (dC / sc) ** 2 + (dH / sh) ** 2 + rt * (dC / sc) * (dH / sh));
+};
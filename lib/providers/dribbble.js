@@ -0,0 +1,43 @@
+import axios from 'axios';
+import { buildLicense } from '../licenses.js';
+
+export default {
+  name: "dribbble",
+  label: "Dribbble",
+  requiredEnv: ["DRIBBBLE_API_KEY"],
+  budget: "dribbble",
+  capabilities: { formats: ["image"], pagination: true, maxPerPage: 100, generative: false, licenses: ["unknown"] },
+
+  async search(query, { limit = 8, offset = 0 } = {}, request = {}) {
+    const response = await axios.get("https://api.dribbble.com/v2/shots", {
+      params: {
+        query,
+        page: Math.floor(offset / limit) + 1,
+        per_page: limit
+      },
+      headers: {
+        'Authorization': `Bearer ${process.env.DRIBBBLE_API_KEY}`
+      },
+      ...request
+    });
+    const items = Array.isArray(response.data) ? response.data : [];
+    return { items, hasMore: items.length === limit };
+  },
+
+  normalize(item) {
+    return {
+      image: item.images?.normal || "",
+      thumbnail: item.images?.teaser || null,
+      title: item.title || "Dribbble Design",
+      source: "Dribbble",
+      url: item.html_url || "",
+      snippet: item.description || "",
+      author: item.user?.name || "Dribbble Designer",
+      width: item.width || null,
+      height: item.height || null,
+      publishedAt: item.published_at || null,
+      // Shots belong to their designers; Dribbble grants no reuse rights
+      license: buildLicense({ type: 'unknown', source: "Dribbble", author: item.user?.name || null, sourceUrl: item.html_url }),
+    };
+  },
+};
@@ -0,0 +1,65 @@
+import axios from 'axios';
+import { buildLicense } from '../licenses.js';
+
+const FORMATS = ['vector', 'psd'];
+const LICENSE_URL = 'https://www.freepik.com/legal/terms-of-use';
+
+export default {
+  name: "freepik",
+  label: "Freepik",
+  requiredEnv: ["FREEPIK_API_KEY"],
+  budget: "freepik",
+  capabilities: { formats: ["image", ...FORMATS], pagination: true, maxPerPage: 100, generative: false, licenses: ["free", "premium"] },
+
+  async search(query, { limit = 10, offset = 0, format = '', license = '' } = {}, request = {}) {
+    const params = {
+      term: query,
+      locale: "en-US",
+      page: Math.floor(offset / limit) + 1,
+      limit,
+      order: "relevance"
+    };
+    // Add format filter if specified
+    if (format && FORMATS.includes(format.toLowerCase())) {
+      params.format = format.toLowerCase();
+    }
+    if (license === 'free') params['filters[license][freemium]'] = 1;
+    const response = await axios.get("https://api.freepik.com/v1/resources", {
+      headers: {
+        'x-freepik-api-key': process.env.FREEPIK_API_KEY
+      },
+      params,
+      ...request
+    });
+    const items = response.data?.data || [];
+    const meta = response.data?.meta;
+    const hasMore = meta?.last_page ? meta.current_page < meta.last_page : items.length === limit;
+    return { items, hasMore };
+  },
+
+  normalize(item, { format = '' } = {}) {
+    // Freepik reports renditions as "740x493"
+    const [width, height] = (item.image?.source?.size || '').split('x').map(Number);
+    const author = item.contributor?.username || "Freepik Artist";
+    return {
+      image: item.image?.source?.url || item.image?.regular_url,
+      title: item.title || "Design Resource",
+      source: "Freepik",
+      url: item.url || "",
+      snippet: "",
+      author,
+      format: item.format || format || "image",
+      isPremium: item.is_premium || false,
+      width: width || null,
+      height: height || null,
+      publishedAt: item.meta?.published_at || null,
+      license: buildLicense({
+        type: item.is_premium ? 'premium' : 'free',
+        source: "Freepik",
+        author,
+        sourceUrl: item.url,
+        licenseUrl: LICENSE_URL,
+      }),
+    };
+  },
+};
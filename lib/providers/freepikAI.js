@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { logger } from '../logger.js';
+import { buildLicense } from '../licenses.js';
+
+// Text-to-image generation; the "query" is the generation prompt
+export default {
+  name: "freepik-ai",
+  label: "Freepik AI",
+  requiredEnv: ["FREEPIK_API_KEY"],
+  budget: "freepik",
+  capabilities: { formats: ["AI Image"], pagination: false, maxPerPage: 4, generative: true, licenses: ["ai-generated"] },
+  // Generation is slow, and a retried POST may be billed twice, so it is never retried
+  timeoutMs: 30000,
+  maxRetries: 0,
+
+  // Options are checked by lib/generation.js; `seed` makes a generation reproducible
+  async search(prompt, {
+    aspectRatio = 'square_1_1', style, color = 'softhue', camera = 'portrait', lighting = 'iridescent',
+    numImages = 1, guidanceScale, negativePrompt, seed,
+  } = {}, request = {}) {
+    const data = {
+      prompt,
+      negative_prompt: negativePrompt,
+      guidance_scale: guidanceScale,
+      num_images: numImages,
+      aspect_ratio: aspectRatio,
+      styling: {
+        style,
+        effects: {
+          color,
+          camera,
+          lightning: lighting,
+        },
+      },
+      seed: seed ?? Math.floor(Math.random() * 1000000),
+    };
+    const response = await axios.post('https://api.freepik.com/v1/ai/text-to-image', data, {
+      headers: {
+        'x-freepik-api-key': process.env.FREEPIK_API_KEY,
+        'Content-Type': 'application/json',
+      },
+      ...request
+    });
+    if (Array.isArray(response.data?.images)) return { items: response.data.images, hasMore: false };
+    logger.warn('freepik-ai: unexpected response format', { keys: Object.keys(response.data || {}) });
+    return { items: [], hasMore: false };
+  },
+
+  normalize(item) {
+    return {
+      image: item.url,
+      title: "AI Generated Design",
+      source: "Freepik AI",
+      url: "",
+      snippet: "",
+      format: "AI Image",
+      license: buildLicense({ type: 'ai-generated', source: "Freepik AI", licenseUrl: 'https://www.freepik.com/legal/terms-of-use' }),
+    };
+  },
+};
@@ -0,0 +1,68 @@
+import axios from 'axios';
+import { buildLicense } from '../licenses.js';
+import { usageTracker } from '../budgets.js';
+import { logger } from '../logger.js';
+
+const GOOGLE_CSE_URL = "https://www.googleapis.com/customsearch/v1";
+const GOOGLE_MAX_RESULTS = 100; // Custom Search never pages past result 100
+const BUDGET = "google-cse";
+
+// Shared Custom Search image call, also used by the Pinterest provider.
+// `offset` is 0-based; CSE's `start` is 1-based. `request` carries timeout/signal.
+export const googleImageSearch = async (query, limit = 10, offset = 0, extraParams = {}, request = {}) => {
+  const num = Math.min(limit, 10, GOOGLE_MAX_RESULTS - offset); // Google API limit is 10 per request
+  if (num <= 0) return { items: [], hasMore: false };
+  const response = await axios.get(GOOGLE_CSE_URL, {
+    params: {
+      q: query,
+      key: process.env.GOOGLE_API_KEY,
+      cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
+      searchType: "image",
+      num,
+      start: offset + 1,
+      safe: "active",
+      ...extraParams,
+    },
+    ...request,
+  });
+  const items = response.data?.items || [];
+  const hasMore = Boolean(response.data?.queries?.nextPage) && offset + items.length < GOOGLE_MAX_RESULTS;
+  return { items, hasMore };
+};
+
+export default {
+  name: "google",
+  label: "Google Images",
+  requiredEnv: ["GOOGLE_API_KEY", "GOOGLE_SEARCH_ENGINE_ID"],
+  budget: BUDGET,
+  capabilities: { formats: ["image"], pagination: true, maxPerPage: 10, maxResults: GOOGLE_MAX_RESULTS, generative: false, licenses: ["unknown"] },
+
+  async search(query, { limit = 10, offset = 0 } = {}, request = {}) {
+    const page = await googleImageSearch(query, limit, offset, { imgSize: "large" }, request); // Prefer high quality images
+    if (page.items.length > 0 || offset > 0) return page;
+
+    // Try a simplified fallback query if original query fails (first page only, it can't be paged).
+    // runProvider spent a unit on the first request; the fallback is a second one.
+    if (query.split(' ').length <= 3 || !usageTracker.allow(BUDGET)) return page;
+    usageTracker.spend(BUDGET);
+    const simplifiedQuery = query.split(' ').slice(0, 3).join(' ') + " design";
+    logger.info('google: no results, trying simplified query', { query, simplifiedQuery });
+    const fallback = await googleImageSearch(simplifiedQuery, limit, 0, {}, request);
+    return { items: fallback.items, hasMore: false };
+  },
+
+  normalize(item) {
+    return {
+      image: item.link,
+      thumbnail: item.image?.thumbnailLink || null,
+      title: item.title || "Design Inspiration",
+      source: "Google Images",
+      url: item.image?.contextLink || item.displayLink || "",
+      snippet: item.snippet || "",
+      width: item.image?.width || null,
+      height: item.image?.height || null,
+      // Search results say nothing about rights; credit the page the image was found on
+      license: buildLicense({ type: 'unknown', source: item.displayLink || "Google Images", sourceUrl: item.image?.contextLink }),
+    };
+  },
+};
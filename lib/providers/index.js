@@ -0,0 +1,198 @@
+import google from './google.js';
+import pinterest from './pinterest.js';
+import dribbble from './dribbble.js';
+import freepik from './freepik.js';
+import freepikAI from './freepikAI.js';
+import { identify, mergeAssets } from '../assets.js';
+import { providerCache, cacheKey } from '../cache.js';
+import { withRetry, createCircuitBreaker, DeadlineError } from '../resilience.js';
+import { usageTracker, BudgetExhaustedError } from '../budgets.js';
+import { logger } from '../logger.js';
+import { recordProviderCall } from '../metrics.js';
+import { isReplay } from '../httpMode.js';
+import { readNumberEnv } from '../env.js';
+
+// Every image source implements the same adapter interface:
+//   name, label       - registry key and display name
+//   requiredEnv       - env keys that must be set for the provider to run
+//   budget            - optional upstream quota each call spends (see budgets.js)
+//   capabilities      - { formats, pagination, maxPerPage, generative, licenses } where
+//                       licenses lists the license types (licenses.js) its images can have
+//   timeoutMs, maxRetries     - optional overrides of the global call policy
+//   search(query, options, request) - { items, hasMore } of raw upstream items for
+//                              options.limit/offset; `request` ({ timeout, signal }) is
+//                              spread into the axios config (throws on upstream errors)
+//   normalize(item, options) - one item into the common image shape
+const registry = new Map();
+const health = new Map();
+const breakers = new Map();
+
+// Comma-separated names; anything that isn't a string (a repeated query param) is empty
+const parseList = (value) => (typeof value === 'string' ? value : '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// Per-call deadline (covering retries) and retry budget: provider override, then env, then default
+const callPolicy = (provider) => ({
+  deadlineMs: provider.timeoutMs ?? readNumberEnv('PROVIDER_TIMEOUT_MS', 8000),
+  maxRetries: Math.min(provider.maxRetries ?? Infinity, readNumberEnv('PROVIDER_MAX_RETRIES', 2)),
+});
+
+export const registerProvider = (provider) => {
+  registry.set(provider.name, provider);
+  health.set(provider.name, { lastSuccessAt: null, lastErrorAt: null, lastError: null });
+  breakers.set(provider.name, createCircuitBreaker({
+    threshold: readNumberEnv('CIRCUIT_FAILURE_THRESHOLD', 5),
+    cooldownMs: readNumberEnv('CIRCUIT_COOLDOWN_MS', 60000),
+  }));
+};
+
+[google, pinterest, dribbble, freepik, freepikAI].forEach(registerProvider);
+
+export const getProvider = (name) => registry.get(name);
+
+export const providerNames = () => [...registry.keys()];
+
+// Replayed calls need no credentials
+export const missingEnv = (provider) => (isReplay() ? [] : provider.requiredEnv.filter(key => !process.env[key]));
+
+export const isConfigured = (provider) => missingEnv(provider).length === 0;
+
+// ENABLED_PROVIDERS (allowlist) and DISABLED_PROVIDERS (denylist) are comma-separated names
+export const isEnabled = (provider) => {
+  const enabled = parseList(process.env.ENABLED_PROVIDERS);
+  const disabled = parseList(process.env.DISABLED_PROVIDERS);
+  if (enabled.length > 0 && !enabled.includes(provider.name)) return false;
+  return !disabled.includes(provider.name);
+};
+
+export const isAvailable = (provider) => isEnabled(provider) && isConfigured(provider);
+
+// Names of the providers a request may use, narrowed by an optional `sources=a,b` param
+export const resolveProviders = (sources) => {
+  const requested = parseList(sources);
+  return [...registry.values()]
+    .filter(isAvailable)
+    .filter(provider => requested.length === 0 || requested.includes(provider.name))
+    .map(provider => provider.name);
+};
+
+const errorMessage = (error) => error.response?.data?.error?.message || error.message;
+
+// Run one provider search and return { images, nextOffset, report }: normalized images,
+// the offset of the following page (null once the provider is exhausted or failed) and
+// a report { name, status, latencyMs, count, cached, error } for partial-result stats.
+// Status is ok, error, timeout, circuit-open or budget-exhausted; failures never throw.
+// Each upstream attempt spends one unit of the provider's daily budget; a provider making
+// more than one upstream request per attempt spends the others itself. Raw upstream
+// results are cached per (provider, query, options) unless the provider is generative;
+// `context.refresh` skips the cached copy. Every call is logged and counted in metrics.
+export const runProvider = async (name, query, options = {}, context = {}) => {
+  const provider = registry.get(name);
+  const startedAt = Date.now();
+  const report = (status, count = 0, extra = {}) => {
+    const result = { name, status, latencyMs: Date.now() - startedAt, count, cached: false, error: null, ...extra };
+    recordProviderCall(result);
+    const level = status === 'ok' ? 'info' : status === 'error' ? 'error' : 'warn';
+    logger[level]('provider call', {
+      provider: name,
+      query,
+      offset: options.offset || 0,
+      status,
+      latencyMs: result.latencyMs,
+      count,
+      cached: result.cached,
+      error: result.error || undefined,
+    });
+    return result;
+  };
+  if (!provider || !isAvailable(provider)) {
+    return { images: [], nextOffset: null, report: report('error', 0, { error: 'Provider not available' }) };
+  }
+
+  const state = health.get(name);
+  const breaker = breakers.get(name);
+  if (!breaker.allow()) {
+    return { images: [], nextOffset: null, report: report('circuit-open', 0, { error: 'Circuit open after repeated failures' }) };
+  }
+
+  const call = () => withRetry(request => {
+    if (provider.budget) {
+      if (!usageTracker.allow(provider.budget)) throw new BudgetExhaustedError(provider.budget);
+      usageTracker.spend(provider.budget);
+    }
+    return provider.search(query, options, request);
+  }, callPolicy(provider));
+  try {
+    const { value: { items, hasMore }, status } = provider.capabilities.generative
+      ? { value: await call(), status: 'BYPASS' }
+      : await providerCache.wrap(cacheKey(`provider:${name}`, { query, ...options }), call, { refresh: context.refresh });
+    breaker.success();
+    state.lastSuccessAt = new Date().toISOString();
+    const images = mergeAssets(items
+      .map(item => provider.normalize(item, options))
+      .filter(img => img.image)
+      .map(img => identify({ ...img, provider: provider.name })));
+    const nextOffset = hasMore && provider.capabilities.pagination ? (options.offset || 0) + items.length : null;
+    return { images, nextOffset, report: report('ok', images.length, { cached: status === 'HIT' || status === 'COALESCED' }) };
+  } catch (error) {
+    // Out of budget isn't the upstream's fault, so the circuit stays as it is (a half-open
+    // trial is handed back, or the circuit would report open until the next restart)
+    if (error instanceof BudgetExhaustedError) {
+      breaker.release();
+      return { images: [], nextOffset: null, report: report('budget-exhausted', 0, { error: error.message }) };
+    }
+    breaker.failure();
+    state.lastErrorAt = new Date().toISOString();
+    state.lastError = errorMessage(error);
+    const status = error instanceof DeadlineError ? 'timeout' : 'error';
+    return { images: [], nextOffset: null, report: report(status, 0, { error: state.lastError }) };
+  }
+};
+
+// Fold the reports of several calls to the same provider into one entry per provider:
+// ok if every call succeeded, partial if some did, otherwise the first failure status
+export const summarizeReports = (reports) => {
+  const byName = new Map();
+  reports.forEach(r => {
+    if (!byName.has(r.name)) byName.set(r.name, []);
+    byName.get(r.name).push(r);
+  });
+  return [...byName.entries()].map(([name, list]) => {
+    const failed = list.filter(r => r.status !== 'ok');
+    let status = 'ok';
+    if (failed.length === list.length) status = failed[0].status;
+    else if (failed.length > 0) status = 'partial';
+    return {
+      name,
+      status,
+      latencyMs: Math.max(...list.map(r => r.latencyMs)),
+      count: list.reduce((sum, r) => sum + r.count, 0),
+      dropped: list.reduce((sum, r) => sum + (r.dropped || 0), 0),
+      calls: list.length,
+      cached: list.every(r => r.cached),
+      error: failed[0]?.error || null,
+    };
+  });
+};
+
+// Snapshot of every registered provider for the /providers route
+export const describeProviders = () => [...registry.values()].map(provider => {
+  const state = health.get(provider.name);
+  const configured = isConfigured(provider);
+  const enabled = isEnabled(provider);
+  const lastCallFailed = Boolean(state.lastErrorAt) && (!state.lastSuccessAt || state.lastErrorAt > state.lastSuccessAt);
+  const circuit = breakers.get(provider.name).snapshot();
+  return {
+    name: provider.name,
+    label: provider.label,
+    enabled,
+    configured,
+    missingEnv: missingEnv(provider),
+    healthy: enabled && configured && !lastCallFailed && circuit.state === 'closed',
+    // From the last call: true if it succeeded, false if it failed, null if never called
+    reachable: lastCallFailed || circuit.state === 'open' ? false : state.lastSuccessAt ? true : null,
+    capabilities: provider.capabilities,
+    budget: provider.budget || null,
+    circuit,
+    ...state,
+  };
+});
@@ -0,0 +1,32 @@
+import { googleImageSearch } from './google.js';
+import { buildLicense } from '../licenses.js';
+
+// Pinterest has no public search API, so pins are found through Google Custom Search
+export default {
+  name: "pinterest",
+  label: "Pinterest",
+  requiredEnv: ["GOOGLE_API_KEY", "GOOGLE_SEARCH_ENGINE_ID"],
+  budget: "google-cse",
+  capabilities: { formats: ["image"], pagination: true, maxPerPage: 10, maxResults: 100, generative: false, licenses: ["unknown"] },
+
+  async search(query, { limit = 10, offset = 0 } = {}, request = {}) {
+    // Request extra images in case some fail validation
+    return googleImageSearch(`${query} site:pinterest.com`, limit + 4, offset, { imgSize: "large" }, request);
+  },
+
+  normalize(item) {
+    return {
+      image: item.link,
+      thumbnail: item.image?.thumbnailLink || null,
+      title: item.title?.replace(" | Pinterest", "")
+                       .replace(" on Pinterest", "") || "Pinterest Inspiration",
+      source: "Pinterest",
+      url: item.image?.contextLink || item.displayLink || "",
+      snippet: item.snippet || "",
+      width: item.image?.width || null,
+      height: item.image?.height || null,
+      // Pins are mostly re-shared work whose rights Pinterest doesn't know
+      license: buildLicense({ type: 'unknown', source: "Pinterest", sourceUrl: item.image?.contextLink }),
+    };
+  },
+};
@@ -0,0 +1,172 @@
+import nlp from 'compromise';
+import { normalizeHex } from './palette.js';
+
+// Phrases (singular, lowercase, as compromise normalizes them) that imply each facet
+// value. Industry values line up with the related-term expansions in server.js.
+const LEXICON = {
+  industry: {
+    'tech': ['tech', 'technology', 'software', 'saas', 'startup', 'digital agency', 'ai', 'cybersecurity', 'developer'],
+    'fashion': ['fashion', 'apparel', 'clothing', 'boutique', 'streetwear', 'jewelry', 'jewellery'],
+    'food': ['food', 'restaurant', 'cafe', 'coffee', 'bakery', 'bistro', 'vegan', 'bar', 'brewery', 'pizza', 'burger', 'catering', 'juice', 'tea', 'wine'],
+    'education': ['education', 'school', 'university', 'course', 'learning', 'academy', 'tutoring', 'kindergarten'],
+    'health': ['health', 'healthcare', 'medical', 'clinic', 'dental', 'dentist', 'pharmacy', 'hospital', 'wellness'],
+    'fitness': ['fitness', 'gym', 'yoga', 'pilates', 'crossfit'],
+    'beauty': ['beauty', 'cosmetic', 'skincare', 'salon', 'spa', 'makeup', 'barber'],
+    'finance': ['finance', 'fintech', 'bank', 'banking', 'insurance', 'investment', 'crypto', 'accounting'],
+    'real estate': ['real estate', 'realty', 'property', 'realtor', 'interior'],
+    'travel': ['travel', 'tourism', 'hotel', 'hospitality', 'airline', 'resort'],
+    'music': ['music', 'band', 'concert', 'festival', 'record label', 'podcast'],
+    'gaming': ['game', 'gaming', 'esport'],
+    'nonprofit': ['nonprofit', 'non profit', 'charity', 'ngo'],
+    'legal': ['law firm', 'legal', 'lawyer', 'attorney'],
+    'automotive': ['automotive', 'car', 'motorcycle', 'garage'],
+    'pets': ['pet', 'veterinary', 'vet'],
+    'wedding': ['wedding', 'bridal'],
+  },
+  designStyle: {
+    'minimalist': ['minimal', 'minimalist', 'minimalism', 'clean', 'simple', 'scandinavian', 'swiss'],
+    'elegant': ['elegant', 'luxury', 'luxurious', 'premium', 'sophisticated', 'classy', 'refined'],
+    'playful': ['playful', 'fun', 'whimsical', 'quirky', 'cute', 'friendly'],
+    'bold': ['bold', 'brutalist', 'brutalism', 'loud', 'striking'],
+    'vintage': ['vintage', 'retro', 'nostalgic', 'rustic', '70s', '80s', '90s'],
+    'modern': ['modern', 'contemporary', 'sleek'],
+    'futuristic': ['futuristic', 'cyberpunk', 'sci fi', 'neon'],
+    'organic': ['organic', 'natural', 'earthy', 'botanical'],
+    'corporate': ['corporate', 'professional', 'business like'],
+    'hand-drawn': ['hand drawn', 'sketchy', 'doodle'],
+  },
+  font: {
+    'geometric sans-serif': ['geometric sans', 'geometric sans serif'],
+    'humanist sans-serif': ['humanist sans', 'humanist sans serif'],
+    'grotesque sans-serif': ['grotesque', 'grotesk', 'neo grotesque'],
+    'sans-serif': ['sans', 'sans serif'],
+    'slab serif': ['slab serif', 'slab'],
+    'serif': ['serif'],
+    'script': ['script', 'cursive', 'calligraphy', 'calligraphic'],
+    'handwritten': ['handwritten', 'hand lettering', 'hand lettered'],
+    'monospace': ['monospace', 'monospaced', 'mono'],
+    'blackletter': ['blackletter', 'gothic'],
+  },
+  assetType: {
+    'logo': ['logo', 'logotype', 'wordmark', 'monogram', 'emblem', 'brand mark'],
+    'poster': ['poster'],
+    'flyer': ['flyer', 'leaflet'],
+    'brochure': ['brochure', 'catalog', 'catalogue'],
+    'business card': ['business card'],
+    'packaging': ['packaging', 'package', 'label', 'box design'],
+    'ui': ['ui', 'ux', 'website', 'web', 'landing page', 'app', 'mobile app', 'dashboard', 'interface'],
+    'icon': ['icon', 'iconography'],
+    'illustration': ['illustration'],
+    'social media': ['social media', 'social post', 'instagram', 'instagram post'],
+    'banner': ['banner'],
+    'menu': ['menu'],
+    'invitation': ['invitation', 'invite'],
+    'book cover': ['book cover', 'album cover', 'cover art'],
+  },
+};
+
+// Color words a designer would type; anything outside this list is left in the query
+const COLOR_WORDS = [
+  'red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'brown', 'gray', 'grey', 'black', 'white',
+  'navy', 'teal', 'turquoise', 'coral', 'mint', 'beige', 'cream', 'gold', 'silver', 'burgundy', 'maroon',
+  'lavender', 'lilac', 'olive', 'charcoal', 'ivory', 'peach', 'magenta', 'cyan', 'indigo', 'violet',
+  'terracotta', 'mustard', 'sage', 'emerald', 'crimson',
+];
+const COLOR_MODIFIERS = ['dark', 'light', 'pale', 'deep', 'pastel', 'bright', 'muted', 'neon'];
+const HEX_PATTERN = /#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/i;
+
+export const FACETS = ['industry', 'designStyle', 'color', 'font', 'assetType'];
+
+// Lexicon phrases this short only count as whole words of the query: "tea" matches
+// "tea shop" but not "tea-time", "ai" not "ai-generated"
+const SHORT_PHRASE = 3;
+// Characters that join a short word into a longer one when next to it
+const JOINERS = /[\p{L}\p{N}'’&/+#_-]/u;
+// Words before or after a short lexicon word that give it another meaning ("nav bar", "bar chart")
+const OTHER_SENSES = {
+  bar: {
+    before: ['nav', 'navigation', 'progress', 'tab', 'status', 'side', 'tool', 'search', 'menu', 'app', 'top', 'bottom', 'title', 'scroll'],
+    after: ['chart', 'graph', 'code'],
+  },
+};
+
+// Compromise does the normalizing: lowercase, accents dropped ("café"), plurals made
+// singular ("logos") and punctuation split off, so the lexicon only lists base forms.
+// Each token keeps its position in the query so matches can be reported as typed.
+const tokenize = (text) => {
+  const doc = nlp(text);
+  const offsets = doc.json({ offset: true }).flatMap(sentence => sentence.terms.map(term => term.offset));
+  doc.nouns().toSingular();
+  return doc.json().flatMap(sentence => sentence.terms).map((term, i) => ({
+    normal: term.normal,
+    start: offsets[i]?.start ?? 0,
+    end: (offsets[i]?.start ?? 0) + (offsets[i]?.length ?? 0),
+  }));
+};
+
+// The query as the user typed it for tokens[from..to)
+const typed = (query, tokens, from, to) => query.slice(tokens[from].start, tokens[to - 1].end);
+
+// Whether a short phrase at tokens[start..start+length) stands on its own in the query
+const standsAlone = (query, tokens, start, length) => {
+  const { start: from } = tokens[start];
+  const { end: to } = tokens[start + length - 1];
+  if (JOINERS.test(query[from - 1] || '') || JOINERS.test(query[to] || '')) return false;
+  const { before = [], after = [] } = OTHER_SENSES[tokens[start].normal] || {};
+  return !before.includes(tokens[start - 1]?.normal) && !after.includes(tokens[start + length]?.normal);
+};
+
+// Earliest phrase of any value in the tokens; the longer phrase wins at the same position
+const findFirst = (query, tokens, values) => {
+  const words = tokens.map(t => t.normal);
+  let best = null;
+  Object.entries(values).forEach(([value, phrases]) => phrases.forEach(phrase => {
+    const parts = phrase.split(' ');
+    for (let start = 0; start + parts.length <= words.length; start++) {
+      if (!parts.every((part, i) => words[start + i] === part)) continue;
+      if (phrase.length <= SHORT_PHRASE && !standsAlone(query, tokens, start, parts.length)) continue;
+      if (!best || start < best.start || (start === best.start && parts.length > best.length)) {
+        best = { value, start, length: parts.length };
+      }
+      break;
+    }
+  }));
+  return best && { value: best.value, text: typed(query, tokens, best.start, best.start + best.length) };
+};
+
+// A hex code as typed, else the first color word with its modifier ("dark green")
+const findColor = (query, tokens) => {
+  const hex = query.match(HEX_PATTERN);
+  if (hex) return { value: normalizeHex(hex[0]), text: hex[0] };
+  const index = tokens.findIndex(t => COLOR_WORDS.includes(t.normal));
+  if (index === -1) return null;
+  const start = index > 0 && COLOR_MODIFIERS.includes(tokens[index - 1].normal) ? index - 1 : index;
+  return { value: tokens.slice(start, index + 1).map(t => t.normal).join(' '), text: typed(query, tokens, start, index + 1) };
+};
+
+// Facets implied by a free-text query, e.g. "minimal navy logo for a vegan cafe" gives
+// designStyle=minimalist, color=navy, assetType=logo and industry=food. Returns
+// [{ facet, value, text }] where text is the part of the query that implied it, as typed.
+export const parseQuery = (query) => {
+  if (typeof query !== 'string' || !query.trim()) return [];
+  const tokens = tokenize(query);
+  return FACETS
+    .map(facet => {
+      const match = facet === 'color' ? findColor(query, tokens) : findFirst(query, tokens, LEXICON[facet]);
+      return match && { facet, ...match };
+    })
+    .filter(Boolean);
+};
+
+// Fill facets left empty in `params` from the parsed query; explicit params always win.
+// Returns the facet values to search with and the parsed matches, each marked `applied`
+// (false when an explicit param overrode it) so a client can show them as editable chips.
+export const resolveFacets = (params, parsed, { skip = [] } = {}) => {
+  const facets = Object.fromEntries(FACETS.map(facet => [facet, params[facet] || null]));
+  const matches = parsed.map(match => {
+    const applied = !facets[match.facet] && !skip.includes(match.facet);
+    if (applied) facets[match.facet] = match.value;
+    return { ...match, applied };
+  });
+  return { facets, parsed: matches };
+};
@@ -0,0 +1,90 @@
+import natural from 'natural';
+import { colorFamily } from './palette.js';
+import { readJsonEnv } from './env.js';
+
+// Relative importance of each signal; override with RANKING_WEIGHTS='{"text":0.5,...}'
+const DEFAULT_SIGNAL_WEIGHTS = { text: 0.45, facets: 0.2, source: 0.15, freshness: 0.05, quality: 0.15 };
+
+// Prior trust in each provider's results; override with RANKING_SOURCE_WEIGHTS='{"google":0.9}'
+const DEFAULT_SOURCE_WEIGHTS = { 'pinterest': 1, 'dribbble': 0.95, 'freepik-ai': 0.9, 'freepik': 0.85, 'google': 0.8 };
+
+const FRESHNESS_HALF_LIFE_DAYS = 365;
+const TARGET_PIXELS = 1200 * 800;
+const NEUTRAL = 0.5; // Used when a signal can't be measured for an image
+
+export const rankingConfig = () => ({
+  weights: readJsonEnv('RANKING_WEIGHTS', DEFAULT_SIGNAL_WEIGHTS),
+  sourceWeights: readJsonEnv('RANKING_SOURCE_WEIGHTS', DEFAULT_SOURCE_WEIGHTS),
+});
+
+const stem = (text) => (text ? natural.PorterStemmer.tokenizeAndStem(String(text)) : []);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Facet values as terms; hex colors are matched by their color family name
+const facetTerms = (facets) => Object.entries(facets)
+  .filter(([, value]) => value)
+  .map(([name, value]) => [name, name === 'color' && colorFamily(value) ? stem(colorFamily(value)) : stem(value)])
+  .filter(([, terms]) => terms.length > 0);
+
+const freshnessScore = (publishedAt) => {
+  const time = Date.parse(publishedAt);
+  if (!publishedAt || Number.isNaN(time)) return NEUTRAL;
+  const ageDays = Math.max(0, (Date.now() - time) / 86400000);
+  return Math.pow(0.5, ageDays / FRESHNESS_HALF_LIFE_DAYS);
+};
+
+// Resolution when known, plus a bonus for assets several providers agreed on
+const qualityScore = (img) => {
+  const resolution = img.width && img.height ? Math.min(1, (img.width * img.height) / TARGET_PIXELS) : NEUTRAL;
+  const corroboration = Math.min(1, ((img.sources?.length || 1) - 1) / 2);
+  return resolution * 0.8 + corroboration * 0.2;
+};
+
+// Score each image against the query and facets; returns new objects with `score`
+// (and `scoreBreakdown` when explain is set), without changing order
+export const scoreImages = (images, query, facets = {}, { explain = false } = {}) => {
+  if (images.length === 0) return [];
+  const { weights, sourceWeights } = rankingConfig();
+  const tfidf = new natural.TfIdf();
+  images.forEach(img => tfidf.addDocument(stem(`${img.title || ''} ${img.snippet || ''}`)));
+
+  // TF-IDF per document for a set of terms, scaled so the best match scores 1
+  const normalizedTfidf = (terms) => {
+    const raw = images.map((img, i) => tfidf.tfidf(terms, i));
+    const max = Math.max(...raw);
+    return max > 0 ? raw.map(value => value / max) : raw.map(() => 0);
+  };
+
+  const textScores = normalizedTfidf(stem(query));
+  const facetScores = facetTerms(facets).map(([name, terms]) => [name, normalizedTfidf(terms)]);
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+
+  return images.map((img, i) => {
+    const facetBreakdown = Object.fromEntries(facetScores.map(([name, scores]) => [name, round(scores[i])]));
+    const facetValues = Object.values(facetBreakdown);
+    const signals = {
+      text: textScores[i],
+      facets: facetValues.length ? facetValues.reduce((a, b) => a + b, 0) / facetValues.length : NEUTRAL,
+      source: sourceWeights[img.provider] ?? NEUTRAL,
+      freshness: freshnessScore(img.publishedAt),
+      quality: qualityScore(img),
+    };
+    const score = Object.entries(signals).reduce((sum, [name, value]) => sum + value * (weights[name] || 0), 0) / totalWeight;
+    const ranked = { ...img, score: round(score) };
+    if (explain) {
+      ranked.scoreBreakdown = {
+        ...Object.fromEntries(Object.entries(signals).map(([name, value]) => [name, round(value)])),
+        facetMatches: facetBreakdown,
+        weights,
+      };
+    }
+    return ranked;
+  });
+};
+
+// Highest score first; ties keep their original (provider priority) order
+export const sortByScore = (images) => images
+  .map((img, index) => ({ img, index }))
+  .sort((a, b) => (b.img.score - a.img.score) || (a.index - b.index))
+  .map(({ img }) => img);
@@ -0,0 +1,102 @@
+// Deadlines, retries and circuit breaking for upstream calls
+
+export class DeadlineError extends Error {
+  constructor(ms) {
+    super(`Deadline of ${ms}ms exceeded`);
+    this.name = 'DeadlineError';
+    this.code = 'DEADLINE_EXCEEDED';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 429, 5xx and network-level failures are worth another attempt; other 4xx are not
+export const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED', 'EPIPE'].includes(error.code);
+};
+
+// Upstream Retry-After, in ms (seconds or an HTTP date)
+const retryAfterMs = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Run `fn({ timeout, signal })` with a total deadline across attempts and bounded
+// exponential backoff (with jitter) on retryable errors. Each attempt gets the time left
+// as its axios timeout, and the signal aborts whatever is still in flight at the deadline.
+export const withRetry = async (fn, { deadlineMs = 8000, maxRetries = 2, baseDelayMs = 250 } = {}) => {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), deadlineMs);
+  const remaining = () => deadlineMs - (Date.now() - startedAt);
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn({ timeout: Math.max(1, remaining()), signal: controller.signal, attempt });
+      } catch (error) {
+        if (controller.signal.aborted || remaining() <= 0) throw new DeadlineError(deadlineMs);
+        if (attempt >= maxRetries || !isRetryable(error)) throw error;
+        const backoff = retryAfterMs(error) ?? baseDelayMs * 2 ** attempt * (0.5 + Math.random());
+        if (backoff >= remaining()) throw error;
+        await sleep(backoff);
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Per-upstream circuit breaker: after `threshold` consecutive failures the circuit opens
+// and calls are skipped for `cooldownMs`; then one trial call is let through (half-open)
+// and its outcome closes or re-opens the circuit.
+export const createCircuitBreaker = ({ threshold = 5, cooldownMs = 60000 } = {}) => {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const state = () => {
+    if (openedAt === null) return 'closed';
+    return Date.now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+  };
+
+  return {
+    state,
+    // Whether a call may go through now; reserves the single half-open trial
+    allow() {
+      const current = state();
+      if (current === 'closed') return true;
+      if (current === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (failures >= threshold || openedAt !== null) openedAt = Date.now();
+    },
+    // A call let through by allow() ended without reaching the upstream: frees the
+    // half-open trial for the next call and leaves the state as it is
+    release() {
+      trialInFlight = false;
+    },
+    snapshot: () => ({
+      state: state(),
+      failures,
+      openUntil: openedAt !== null ? new Date(openedAt + cooldownMs).toISOString() : null,
+    }),
+  };
+};
@@ -0,0 +1,69 @@
+import { normalizeHex } from './palette.js';
+import { COLOR_MATCH_MODES, SORT_ORDERS } from './colorMatch.js';
+import { LICENSE_FILTERS } from './licenses.js';
+import { providerNames } from './providers/index.js';
+
+// Free-text search fields, their length limits and what each may contain. Anything that
+// reaches the prompt is checked here first; the prompt also delimits it as data.
+const TEXT_FIELDS = {
+  q: { max: 200, pattern: /^[^<>`{}\\]*$/u },
+  industry: { max: 60, pattern: /^[\p{L}\p{N}\s&'’.,/+()-]*$/u },
+  font: { max: 60, pattern: /^[\p{L}\p{N}\s&'’.,/+()-]*$/u },
+  designStyle: { max: 60, pattern: /^[\p{L}\p{N}\s&'’.,/+()-]*$/u },
+};
+
+const CONTROL_CHARS = /[\u0000-\u001F\u007F-\u009F\u2028\u2029]/u;
+const AI_FORMATS = ['html', 'markdown'];
+// Switches that take "true" or "false"
+const FLAGS = ['ai', 'platforms', 'explain', 'validate'];
+const MAX_IMAGE_COLORS = 8;
+
+// "#AABBCC,#112233" into normalized hexes; invalid entries are dropped
+export const parseColorList = (value) =>
+  (typeof value === 'string' ? value.split(',') : []).map(normalizeHex).filter(Boolean).slice(0, MAX_IMAGE_COLORS);
+
+// Problems with a set of /search params, as messages for a 400 response (empty when valid)
+export const validateSearchParams = (query = {}) => {
+  const problems = [];
+  Object.entries(TEXT_FIELDS).forEach(([name, { max, pattern }]) => {
+    const value = query[name];
+    if (value === undefined || value === '') return;
+    if (typeof value !== 'string') problems.push(`${name} must be a single string`);
+    else if (value.length > max) problems.push(`${name} must be at most ${max} characters`);
+    else if (CONTROL_CHARS.test(value)) problems.push(`${name} contains control characters`);
+    else if (!pattern.test(value)) problems.push(`${name} contains unsupported characters`);
+  });
+  // A hex code or a plain color name such as "navy blue"
+  if (query.color && !normalizeHex(query.color) && !/^[a-z][a-z ]{1,29}$/i.test(String(query.color))) {
+    problems.push("color must be a hex code or a color name");
+  }
+  if (query.imageColors !== undefined && query.imageColors !== '') {
+    const entries = typeof query.imageColors === 'string' ? query.imageColors.split(',') : [];
+    if (entries.length === 0 || entries.length > MAX_IMAGE_COLORS || !entries.every(normalizeHex)) {
+      problems.push(`imageColors must be up to ${MAX_IMAGE_COLORS} comma-separated hex codes`);
+    }
+  }
+  FLAGS.forEach(name => {
+    const value = query[name];
+    if (value !== undefined && value !== '' && value !== 'true' && value !== 'false') problems.push(`${name} must be true or false`);
+  });
+  if (query.sources !== undefined && query.sources !== '') {
+    const names = typeof query.sources === 'string' ? query.sources.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+    if (!names || !names.every(name => providerNames().includes(name))) {
+      problems.push(`sources must be comma-separated provider names: ${providerNames().join(', ')}`);
+    }
+  }
+  if (query.aiFormat && !AI_FORMATS.includes(query.aiFormat)) {
+    problems.push(`aiFormat must be one of: ${AI_FORMATS.join(', ')}`);
+  }
+  if (query.colorMatch && !COLOR_MATCH_MODES.includes(query.colorMatch)) {
+    problems.push(`colorMatch must be one of: ${COLOR_MATCH_MODES.join(', ')}`);
+  }
+  if (query.sort && !SORT_ORDERS.includes(query.sort)) {
+    problems.push(`sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  if (query.license && !LICENSE_FILTERS.includes(query.license)) {
+    problems.push(`license must be one of: ${LICENSE_FILTERS.join(', ')}`);
+  }
+  return problems;
+};
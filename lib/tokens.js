@@ -0,0 +1,183 @@
+import Color from 'color';
+import { normalizeHex } from './palette.js';
+
+const WEIGHTS = {
+  'thin': 100, 'extra-light': 200, 'extralight': 200, 'light': 300, 'regular': 400, 'normal': 400,
+  'book': 400, 'medium': 500, 'semi-bold': 600, 'semibold': 600, 'bold': 700,
+  'extra-bold': 800, 'extrabold': 800, 'heavy': 900, 'black': 900,
+};
+
+const SERIF_FAMILIES = /serif|playfair|garamond|georgia|times|merriweather|lora|baskerville|bodoni|caslon|didot|libre caslon|crimson|spectral/i;
+
+const slug = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Name every entry by `nameOf` (falling back to `${fallback}-N`), suffixing repeats
+const uniqueNames = (entries, nameOf, fallback) => {
+  const used = new Map();
+  return entries.map((entry, i) => {
+    const base = slug(nameOf(entry)) || `${fallback}-${i + 1}`;
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count + 1}`;
+  });
+};
+
+const fontRole = ({ usage = '' }) => {
+  if (/head|title|display|logo/i.test(usage)) return 'heading';
+  if (/body|text|paragraph|copy/i.test(usage)) return 'body';
+  if (/accent|caption|label|ui/i.test(usage)) return 'accent';
+  return '';
+};
+
+const genericFamily = (family) => {
+  if (/mono|code/i.test(family)) return 'monospace';
+  if (/sans/i.test(family)) return 'sans-serif';
+  return SERIF_FAMILIES.test(family) ? 'serif' : 'sans-serif';
+};
+
+const numericWeight = (weight) => {
+  if (!weight) return null;
+  if (/^\d00$/.test(weight)) return Number(weight);
+  return WEIGHTS[slug(weight)] || null;
+};
+
+// Normalized token set from a palette ({ role, hex, description } or bare hex) and a
+// brief's typography. Gemini's roles (primary, secondary, accent 1...) become token names.
+export const buildTokenSet = ({ title = 'Design tokens', palette = [], typography = [] }) => {
+  const colors = palette
+    .map(entry => (typeof entry === 'string' ? { hex: entry } : entry))
+    .map(entry => ({ ...entry, hex: normalizeHex(entry?.hex) }))
+    .filter(entry => entry.hex);
+  const colorNames = uniqueNames(colors, entry => entry.role, 'color');
+  const fontNames = uniqueNames(typography, fontRole, 'font');
+  return {
+    title,
+    colors: colors.map((entry, i) => ({
+      name: colorNames[i],
+      role: entry.role || null,
+      hex: entry.hex,
+      description: entry.description || '',
+    })),
+    fonts: typography.map((entry, i) => ({
+      name: fontNames[i],
+      family: entry.family,
+      stack: [entry.family, genericFamily(entry.family)],
+      weight: numericWeight(entry.weight),
+      style: entry.style || 'normal',
+      usage: entry.usage || '',
+    })),
+  };
+};
+
+const cssStack = (stack) => stack.map(family => (/\s/.test(family) ? `"${family}"` : family)).join(', ');
+
+// W3C Design Tokens Community Group format
+const toW3c = ({ colors, fonts }) => {
+  const group = (entries, toToken) => Object.fromEntries(entries.map(entry => [entry.name, toToken(entry)]));
+  const tokens = {
+    color: group(colors, c => ({
+      $type: 'color',
+      $value: c.hex,
+      ...(c.description ? { $description: c.description } : {}),
+    })),
+  };
+  if (fonts.length > 0) {
+    tokens.font = {
+      family: group(fonts, f => ({ $type: 'fontFamily', $value: f.stack, ...(f.usage ? { $description: f.usage } : {}) })),
+    };
+    const weighted = fonts.filter(f => f.weight);
+    if (weighted.length > 0) tokens.font.weight = group(weighted, f => ({ $type: 'fontWeight', $value: f.weight }));
+  }
+  return JSON.stringify(tokens, null, 2);
+};
+
+const toCss = ({ title, colors, fonts }) => [
+  `/* ${title.replace(/\*\//g, '')} */`,
+  ':root {',
+  ...colors.map(c => `  --color-${c.name}: ${c.hex};`),
+  ...fonts.map(f => `  --font-${f.name}: ${cssStack(f.stack)};`),
+  ...fonts.filter(f => f.weight).map(f => `  --font-weight-${f.name}: ${f.weight};`),
+  '}',
+  '',
+].join('\n');
+
+const toScss = ({ title, colors, fonts }) => [
+  `// ${title}`,
+  ...colors.map(c => `$color-${c.name}: ${c.hex};`),
+  ...fonts.map(f => `$font-${f.name}: ${cssStack(f.stack)};`),
+  ...fonts.filter(f => f.weight).map(f => `$font-weight-${f.name}: ${f.weight};`),
+  '',
+  '$colors: (',
+  ...colors.map(c => `  "${c.name}": $color-${c.name},`),
+  ');',
+  '',
+].join('\n');
+
+const toTailwind = ({ colors, fonts }) => {
+  const extend = { colors: Object.fromEntries(colors.map(c => [c.name, c.hex])) };
+  if (fonts.length > 0) extend.fontFamily = Object.fromEntries(fonts.map(f => [f.name, f.stack]));
+  const weighted = fonts.filter(f => f.weight);
+  if (weighted.length > 0) extend.fontWeight = Object.fromEntries(weighted.map(f => [f.name, String(f.weight)]));
+  return [
+    "/** @type {import('tailwindcss').Config} */",
+    `module.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};`,
+    '',
+  ].join('\n');
+};
+
+// GIMP / Inkscape palette
+const toGpl = ({ title, colors }) => [
+  'GIMP Palette',
+  `Name: ${title.replace(/\s+/g, ' ')}`,
+  `Columns: ${Math.min(colors.length, 8) || 1}`,
+  '#',
+  ...colors.map(c => {
+    const [r, g, b] = Color(c.hex).rgb().array();
+    return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${c.name}`;
+  }),
+  '',
+].join('\n');
+
+// Adobe Swatch Exchange block: type, length, then UTF-16BE null-terminated name + body
+const aseBlock = (type, name, body = Buffer.alloc(0)) => {
+  const nameBuffer = Buffer.from(`${name}\0`, 'utf16le').swap16();
+  const content = Buffer.concat([Buffer.alloc(2), nameBuffer, body]);
+  content.writeUInt16BE(name.length + 1, 0);
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt32BE(content.length, 2);
+  return Buffer.concat([header, content]);
+};
+
+const ASE_GROUP_START = 0xC001;
+const ASE_GROUP_END = 0xC002;
+const ASE_COLOR = 0x0001;
+const ASE_NORMAL_COLOR = 2;
+
+const toAse = ({ title, colors }) => {
+  const swatches = colors.map(c => {
+    const body = Buffer.alloc(4 + 12 + 2);
+    body.write('RGB ', 0, 'ascii');
+    Color(c.hex).rgb().array().forEach((channel, i) => body.writeFloatBE(channel / 255, 4 + i * 4));
+    body.writeUInt16BE(ASE_NORMAL_COLOR, 16);
+    return aseBlock(ASE_COLOR, c.name, body);
+  });
+  const groupEnd = Buffer.alloc(6);
+  groupEnd.writeUInt16BE(ASE_GROUP_END, 0);
+  const blocks = [aseBlock(ASE_GROUP_START, title), ...swatches, groupEnd];
+  const header = Buffer.alloc(12);
+  header.write('ASEF', 0, 'ascii');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+};
+
+export const TOKEN_FORMATS = {
+  w3c: { render: toW3c, contentType: 'application/design-tokens+json', extension: 'tokens.json' },
+  css: { render: toCss, contentType: 'text/css', extension: 'css' },
+  scss: { render: toScss, contentType: 'text/x-scss', extension: 'scss' },
+  tailwind: { render: toTailwind, contentType: 'application/javascript', extension: 'tailwind.config.js' },
+  ase: { render: toAse, contentType: 'application/octet-stream', extension: 'ase' },
+  gpl: { render: toGpl, contentType: 'text/plain', extension: 'gpl' },
+};
@@ -1,11 +1,48 @@
 import dotenv from 'dotenv';
 import express from 'express';
-import axios from 'axios';
 import cors from 'cors';
 import natural from 'natural';
+import * as palette from './lib/palette.js';
+import { parseBrief, buildFallbackBrief, briefToMarkdown } from './lib/brief.js';
+import { generateText, describeLlm, isLlmConfigured, LlmUnavailableError } from './lib/llm/index.js';
+import { renderPrompt } from './lib/prompts.js';
+import { markdownToSafeHtml } from './lib/markdown.js';
+import { validateSearchParams, parseColorList } from './lib/searchParams.js';
+import { extractImagePalette, ImageDecodeError } from './lib/imagePalette.js';
+import multer from 'multer';
+import { createAssetIndex, shortAssetId, rememberAssets, lookupAsset } from './lib/assets.js';
+import { createBoardStore, BoardValidationError, UnknownAssetError } from './lib/boards.js';
+import { encodeCursor, decodeCursor, fingerprint } from './lib/cursor.js';
+import { scoreImages, sortByScore } from './lib/ranking.js';
+import { searchCache, cacheKey, setCacheHeaders, wantsRefresh } from './lib/cache.js';
+import { runProvider, resolveProviders, describeProviders, summarizeReports, getProvider } from './lib/providers/index.js';
+import { enrichImages, parseImageFilters, createLimiter, enrichmentConfig } from './lib/enrichment.js';
+import { parseQuery, resolveFacets } from './lib/queryParser.js';
+import { attachSwatches, parseColorMatch, colorTargets, matchColors, sortByColor } from './lib/colorMatch.js';
+import * as moodboard from './lib/moodboard.js';
+import { buildTokenSet, TOKEN_FORMATS } from './lib/tokens.js';
+import { FigmaError, isFigmaConfigured, parseFileKey, readFileStyles, styleSearchParams, writePaletteVariables } from './lib/figma.js';
+import { apiAccess, authConfig } from './lib/auth.js';
+import { usageTracker } from './lib/budgets.js';
+import { logger, requestLogger } from './lib/logger.js';
+import { registry as metricsRegistry, httpMetrics, recordSearchResults } from './lib/metrics.js';
+import { createGenerationService, GenerationValidationError, GenerationQueueFullError } from './lib/generation.js';
+import { proxyImage, parseVariant, proxiedThumbnail, imageProxyConfig, ImageProxyError } from './lib/imageProxy.js';
+import { LICENSE_TYPES, parseLicenseFilter, allowedLicenseTypes, matchesLicense, buildCredits, creditsToText } from './lib/licenses.js';
+import { installHttpMode, httpMode } from './lib/httpMode.js';
 dotenv.config();
+// MODE=record|replay|live for every upstream call; replay runs fully offline from fixtures
+installHttpMode();
 
 const app = express();
+// Request id and structured access log first, so even rejected requests are traced
+app.use(requestLogger());
+app.use(httpMetrics());
+// Behind a load balancer, TRUST_PROXY (hop count or "true") makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isFinite(hops) ? hops : process.env.TRUST_PROXY === "true");
+}
 app.use(
   cors({
     origin: [
@@ -13,17 +50,32 @@ app.use(
       "http://localhost:5173",
     ],
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining"],
     credentials: true,
   })
 );
+app.use(express.json({ limit: "2mb" }));
+// Every route but the probes needs an API key (once API_KEYS is set) and is rate limited
+// per client; /metrics has its own optional METRICS_TOKEN. Proxied images are loaded by
+// <img> tags, which can't send keys, a grid at a time, and only serve assets already found.
+app.use(apiAccess({
+  exempt: ["/health", "/health/live", "/metrics", "/img/"],
+  onRequest: client => usageTracker.recordRequest(client.name)
+}));
 
-if (!process.env.GEMINI_API_KEY ||
-  !process.env.GOOGLE_API_KEY ||
-  !process.env.GOOGLE_SEARCH_ENGINE_ID ||
-  !process.env.FREEPIK_API_KEY) {
-  console.error("❌ ERROR: Missing API keys");
-  process.exit(1);
+// Missing keys only disable the features that need them instead of stopping the server
+if (!authConfig().required) {
+  logger.warn("no API_KEYS configured: the API is open, rate limited per IP");
+}
+if (!isLlmConfigured()) {
+  logger.warn("no LLM configured (LLM_API_KEY / GEMINI_API_KEY): briefs will come from local rules");
+}
+const startupProviders = resolveProviders();
+if (startupProviders.length === 0) {
+  logger.warn("no image providers configured: /search will return AI suggestions only");
+} else {
+  logger.info("image providers available", { providers: startupProviders });
 }
 
 const nlpUtils = {
@@ -71,32 +123,34 @@ const nlpUtils = {
     }
     return Array.from(enhancedTerms).slice(0, 15);
   },
-  extractAdvancedColorPalette(aiSuggestions, inputColor = null) {
+  extractAdvancedColorPalette(aiSuggestions, inputColor = null, imageColors = []) {
     const hexCodeRegex = /#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})/g;
     const colorNameRegex = /\b(red|blue|green|yellow|purple|orange|pink|brown|gray|black|white)\b/gi;
     // Extract hex codes and color names
-    const hexCodes = aiSuggestions.match(hexCodeRegex) || [];
+    const hexCodes = (aiSuggestions.match(hexCodeRegex) || []).map(palette.normalizeHex);
     const colorNames = (aiSuggestions.match(colorNameRegex) || []).map(c => c.toLowerCase());
     // Color theory mappings for generative color schemes
     const colorTheoryMappings = {
       'complementary': (baseColor) => this.generateComplementaryColors(baseColor),
+      'split-complementary': (baseColor) => palette.generatePalette(baseColor, 'split-complementary').slice(1),
       'analogous': (baseColor) => this.generateAnalogousColors(baseColor),
       'triadic': (baseColor) => this.generateTriadicColors(baseColor),
+      'tetradic': (baseColor) => palette.generatePalette(baseColor, 'tetradic').slice(1),
+      'monochrome': (baseColor) => palette.generatePalette(baseColor, 'monochrome').slice(1),
     };
     // Combine and deduplicate colors
     const allColors = [...new Set([
+      ...imageColors,
       ...hexCodes,
-      ...(inputColor ? [inputColor] : []),
+      ...(palette.normalizeHex(inputColor) ? [palette.normalizeHex(inputColor)] : []),
       ...this.generateColorFromNames(colorNames)
     ])];
-    // If few colors, generate additional colors using color theory
+    // If few colors, generate additional colors using a scheme suited to the base color
     if (allColors.length < 3 && allColors.length > 0) {
       const baseColor = allColors[0];
-      const generativeScheme = Object.keys(colorTheoryMappings)[
-        Math.floor(Math.random() * Object.keys(colorTheoryMappings).length)
-      ];
+      const generativeScheme = palette.chooseScheme(baseColor, 5 - allColors.length);
       const additionalColors = colorTheoryMappings[generativeScheme](baseColor);
-      allColors.push(...additionalColors);
+      additionalColors.forEach(c => { if (!allColors.includes(c)) allColors.push(c); });
     }
     return allColors.slice(0, 5);
   },
@@ -119,8 +173,9 @@ const nlpUtils = {
   },
   // Color theory color generation methods
   generateComplementaryColors(baseColor) {
-    // Simple complement calculation
-    return [this.adjustColorBrightness(baseColor, 0.2), this.adjustColorBrightness(baseColor, -0.2)];
+    // True complement plus a lighter and darker variant of it
+    const complement = this.rotateHue(baseColor, 180);
+    return [complement, this.adjustColorBrightness(complement, 0.2), this.adjustColorBrightness(complement, -0.2)];
   },
   generateAnalogousColors(baseColor) {
     // Generate colors close to the base color
@@ -138,553 +193,1021 @@ const nlpUtils = {
   },
   // Color manipulation utilities
   rotateHue(hex, degrees) {
-    return hex;
+    return palette.rotateHue(hex, degrees);
   },
   adjustColorBrightness(hex, percent) {
-    return hex;
+    return palette.adjustLightness(hex, percent);
   }
 };
 
-const makeLinksClickable = (text) => {
-  return text.replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
+const extractHeading = (aiSuggestions, brief = null) => {
+  if (brief?.title) return brief.title;
+  const headingMatch = aiSuggestions.match(/^#\s+([^\n]+)|^##\s+([^\n]+)|^(.+?)\n/);
+  if (headingMatch) {
+    return (headingMatch[1] || headingMatch[2] || headingMatch[3] || "Design Recommendations").trim();
+  }
+  return "Design Recommendations";
 };
 
-// Function to validate image URLs
-const validateImage = async (url) => {
+// Fetch AI-based design recommendations as markdown plus a parsed, typed brief.
+// Without a reachable model the brief comes from local rules and is rendered the same way.
+const getDesignSuggestions = async (query, industry, font, colorHex, designStyle, options = {}) => {
+  const params = { query, industry, font, color: colorHex, designStyle };
+  let fallbackReason;
   try {
-    const response = await axios.head(url, { timeout: 5000 });
-    return response.status === 200 && response.headers["content-type"].startsWith("image");
+    const result = await generateText(renderPrompt('design-brief', params), { refresh: options.refresh });
+    if (result.text) {
+      const brief = parseBrief(result.text, params);
+      brief.generator = { provider: result.provider, model: result.model, prompt: result.prompt };
+      return { aiMarkdown: result.text, brief };
+    }
+    fallbackReason = "Model returned no text";
   } catch (error) {
-    return false; // Return false if the image is not accessible
+    if (!(error instanceof LlmUnavailableError)) logger.error("llm call failed", { error });
+    fallbackReason = `AI suggestions unavailable: ${error.message}`;
   }
+  const brief = buildFallbackBrief(params, fallbackReason);
+  brief.generator = { provider: "rules", model: null, prompt: null };
+  return { aiMarkdown: briefToMarkdown(brief), brief };
 };
 
-// Enhanced function to fetch images from Google Custom Search API - improved relevance
-const fetchGoogleImages = async (query, limit = 10) => {
-  try {
-    console.log(`Executing Google search with query: "${query}"`);
-    
-    const response = await axios.get("https://www.googleapis.com/customsearch/v1", {
-      params: {
-        q: query,
-        key: process.env.GOOGLE_API_KEY,
-        cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
-        searchType: "image",
-        num: Math.min(limit, 10), // Google API limit is 10 per request
-        safe: "active",
-        imgSize: "large", // Prefer high quality images
-      },
+const extractRelatedTerms = (query, aiSuggestions, industry, designStyle) => {
+  return nlpUtils.extractEnhancedTerms(query, { industry, designStyle });
+};
+
+const extractColorPalette = (aiSuggestions, inputColor = null, brief = null, imageColors = []) => {
+  // A reference image's dominant colors lead, with the model's colors after them
+  if (imageColors.length > 0) return nlpUtils.extractAdvancedColorPalette(aiSuggestions, inputColor, imageColors.slice(0, 3));
+  // Prefer the validated brief palette over scraping hex codes out of the HTML
+  if (brief?.palette?.length) return brief.palette.map(p => p.hex).slice(0, 5);
+  return nlpUtils.extractAdvancedColorPalette(aiSuggestions, inputColor);
+};
+
+// Result categories in priority order: an asset found by several batches is served in
+// the first one. Combined Inspiration takes Pinterest/Dribbble first, then Google.
+const CATEGORY_FIELDS = {
+  combined: { category: "Combined Inspiration" },
+  freepikMain: { category: "Downloadable Design Resources" },
+  freepikColor: { category: "Downloadable Color Inspiration" },
+  freepikVector: { category: "Downloadable Vector Resources", format: "vector" },
+  freepikPsd: { category: "Downloadable PSD Templates", format: "psd" },
+};
+
+// Category and format of generated images, which arrive through /generate jobs
+const GENERATED_FIELDS = { category: "AI Generated Designs", format: "AI Image" };
+
+// Images as responses carry them: the upstream `image` plus a `thumbnail` served by /img
+const withProxiedThumbnail = (img) => ({ ...img, thumbnail: proxiedThumbnail(img) });
+
+// Identifies a search independently of its page, so a cursor can't be replayed on another query
+const searchFingerprint = (params) => fingerprint(cacheKey('search', {
+  q: params.q, industry: params.industry, font: params.font, color: params.color,
+  designStyle: params.designStyle, ai: params.ai, platforms: params.platforms, sources: params.sources,
+  minWidth: params.minWidth, minHeight: params.minHeight, orientation: params.orientation, validate: params.validate,
+  imageColors: params.imageColors, colorMatch: params.colorMatch, sort: params.sort, license: params.license
+}));
+
+// Full search pipeline shared by /search and /search/stream. `emit(event, data)` is
+// called as each stage resolves so the streaming route can forward it to the client;
+// `context.refresh` bypasses the provider and AI caches. `context.cursor` is a decoded
+// pagination cursor: only the batches it lists run, from its offsets, and assets it
+// already served are skipped. AI generation (ai=true) is started by the callers, outside
+// the shared response cache; see startSearchGeneration.
+const runSearch = async (params, emit = () => {}, context = {}) => {
+  const { q, industry, font, designStyle, platforms = "true", explain = "false", validate = "true", aiFormat = "html" } = params;
+  const { cursor = null } = context;
+  const imageFilters = parseImageFilters(params);
+  const colorMatch = parseColorMatch(params);
+  const license = parseLicenseFilter(params.license);
+  // Dominant colors of a reference image (/search/by-image), most prominent first
+  const imageColors = parseColorList(params.imageColors);
+  // Facets typed into q ("minimal navy logo for a vegan cafe") fill the params left empty
+  // and steer the brief, palette and ranking; provider queries already contain q itself.
+  // A reference image's colors beat a color word in the q generated from it.
+  const { facets, parsed } = resolveFacets(params, parseQuery(q), { skip: imageColors.length > 0 ? ["color"] : [] });
+
+  const activeProviders = searchProviders(params);
+
+  logger.info("search request", { query: q, facets, platforms, license, sources: activeProviders, page: cursor?.page || 1 });
+
+  // The brief and palette need hex: a color word ("navy", "dark green") is resolved once
+  // here, and one no color library knows is passed on as typed
+  const requestedColor = facets.color ? colorTargets({ color: facets.color })[0] || facets.color : null;
+
+  // Get AI suggestions first to extract color palette for better queries
+  const { aiMarkdown, brief } = await getDesignSuggestions(q, facets.industry, facets.font, requestedColor || imageColors[0], facets.designStyle, context);
+  // Model output is untrusted: served as markdown on request, otherwise as sanitized HTML
+  const aiSuggestions = aiFormat === "markdown" ? aiMarkdown : markdownToSafeHtml(aiMarkdown);
+  const colorPalette = extractColorPalette(aiSuggestions, requestedColor, brief, imageColors);
+  // Later pages keep building the color queries from the color page 1 used. Image colors
+  // go in by name ("orange brown"), which image search engines match far better than hex.
+  const imageColorTerms = [...new Set(imageColors.map(palette.colorFamily))].slice(0, 2).join(' ');
+  const colorBase = cursor?.colorBase || facets.color || imageColorTerms || (colorPalette.length > 0 ? colorPalette[0] : '');
+  const heading = extractHeading(aiSuggestions, brief);
+  emit("brief", { aiSuggestions, brief, heading });
+  emit("palette", { colorPalette });
+
+  // Generate more specific search queries that include all parameters
+  const enhancedQuery = [
+    q,
+    industry,
+    font,
+    designStyle,
+    'design inspiration'
+  ].filter(Boolean).join(' ');
+
+  const colorQuery = [
+    q,
+    industry,
+    colorBase,
+    designStyle,
+    'design'
+  ].filter(Boolean).join(' ');
+
+  // Create more specific Freepik queries
+  const mainFreepikQuery = [q, industry, designStyle, font].filter(Boolean).join(' ');
+  const colorFreepikQuery = [q, industry, colorBase].filter(Boolean).join(' ');
+
+  // Create more specific Pinterest queries for better results
+  const pinterestQuery = [q, industry, designStyle, font, 'design'].filter(Boolean).join(' ');
+  const pinterestAlternateQuery = [q, industry, 'inspiration'].filter(Boolean).join(' ');
+
+  // Freepik can leave premium resources out itself, so pages aren't spent on them
+  const freepikLicense = license === "free" ? { license } : {};
+
+  // Every provider call this search makes; `name` keys its offset in the pagination cursor.
+  // Pinterest runs two queries for more diverse results, and Dribbble joins them when
+  // design platforms are on.
+  const batchSpecs = [
+    { name: "pinterest", group: "combined", provider: "pinterest", query: pinterestQuery, options: { limit: 10 }, when: platforms === "true" },
+    { name: "pinterest-alt", group: "combined", provider: "pinterest", query: pinterestAlternateQuery, options: { limit: 10 }, when: platforms === "true" },
+    { name: "dribbble", group: "combined", provider: "dribbble", query: [q, designStyle].filter(Boolean).join(' '), options: { limit: 8 }, when: platforms === "true" },
+    { name: "google", group: "combined", provider: "google", query: enhancedQuery, options: { limit: 10 } }, // Slightly reduced from 12
+    { name: "google-color", group: "combined", provider: "google", query: colorQuery, options: { limit: 6 } }, // Slightly reduced from 8
+    { name: "freepik", group: "freepikMain", provider: "freepik", query: mainFreepikQuery, options: { limit: 10, ...freepikLicense } },
+    { name: "freepik-color", group: "freepikColor", provider: "freepik", query: colorFreepikQuery, options: { limit: 10, ...freepikLicense } },
+    { name: "freepik-vector", group: "freepikVector", provider: "freepik", query: [q, designStyle, 'vector'].filter(Boolean).join(' '), options: { limit: 8, format: 'vector', ...freepikLicense } },
+    { name: "freepik-psd", group: "freepikPsd", provider: "freepik", query: [q, industry, 'template'].filter(Boolean).join(' '), options: { limit: 8, format: 'psd', ...freepikLicense } },
+  ];
+
+  // Start every provider call in parallel; each batch is filtered by license, validated,
+  // measured and its swatches extracted as soon as it arrives, with one concurrency limit for all image
+  // downloads of this search. Swatches need a download, so validate=false skips them
+  // unless results are matched or sorted by color.
+  const limiter = createLimiter(enrichmentConfig().concurrency);
+  const targets = colorTargets({ color: facets.color, imageColors, colorPalette });
+  const withSwatches = validate !== "false" || colorMatch.mode || colorMatch.sortByColor;
+  const enrichBatch = async ({ images, nextOffset, report }) => {
+    const licensed = images.filter(img => matchesLicense(img, license));
+    let kept = await enrichImages(licensed, { filters: imageFilters, limiter, validate: validate !== "false" });
+    if (withSwatches) kept = matchColors(await attachSwatches(kept, { limiter }), targets, colorMatch.mode);
+    return { images: kept, nextOffset, report: { ...report, count: kept.length, dropped: images.length - kept.length } };
+  };
+  const batches = batchSpecs
+    .filter(spec => spec.when !== false && activeProviders.includes(spec.provider))
+    .filter(spec => !cursor || cursor.offsets[spec.name] !== undefined)
+    .map(spec => {
+      const options = { ...spec.options, offset: cursor?.offsets[spec.name] || 0 };
+      return { ...spec, promise: runProvider(spec.provider, spec.query, options, context).then(enrichBatch) };
     });
 
-    if (!response.data || !response.data.items || response.data.items.length === 0) {
-      console.log(`No results found for query: "${query}"`);
-      
-      // Try a simplified fallback query if original query fails
-      if (query.split(' ').length > 3) {
-        const simplifiedQuery = query.split(' ').slice(0, 3).join(' ') + " design";
-        console.log(`Trying simplified fallback query: "${simplifiedQuery}"`);
-        
-        const fallbackResponse = await axios.get("https://www.googleapis.com/customsearch/v1", {
-          params: {
-            q: simplifiedQuery,
-            key: process.env.GOOGLE_API_KEY,
-            cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
-            searchType: "image",
-            num: Math.min(limit, 10),
-            safe: "active",
-          },
-        });
-        
-        if (!fallbackResponse.data || !fallbackResponse.data.items) {
-          return [];
-        }
-        
-        return processGoogleResults(fallbackResponse.data.items);
-      }
-      
-      return [];
-    }
+  // ---------- DEDUPLICATION BY ASSET IDENTITY ----------
+  // Each asset (hash of its canonical URL) is served once, in the first category that
+  // finds it; copies found by other providers are merged into its `sources`.
+  // Batches are claimed in priority order (as soon as each one and those before it
+  // resolve), so streaming and non-streaming responses dedup identically.
+  const assets = createAssetIndex({ exclude: cursor?.seen });
+  const order = colorMatch.sortByColor ? sortByColor : sortByScore;
+  const grouped = Object.fromEntries(Object.keys(CATEGORY_FIELDS).map(group => [group, []]));
+  const nextOffsets = {};
+  const reports = [];
+  for (const batch of batches) {
+    const { images, nextOffset, report } = await batch.promise;
+    if (nextOffset !== null) nextOffsets[batch.name] = nextOffset;
+    reports.push(report);
+    const claimed = assets.claim(images, CATEGORY_FIELDS[batch.group]);
+    grouped[batch.group].push(...claimed);
+    // Provisional scores; the final order is sent with the "done" event. Empty batches
+    // are still sent so the client learns about failed providers as they happen.
+    emit("images", {
+      batch: batch.name,
+      category: CATEGORY_FIELDS[batch.group].category,
+      images: order(scoreImages(claimed, q, facets, { explain: explain === "true" })).map(withProxiedThumbnail),
+      provider: report
+    });
+  }
+
+  // Extract related search terms
+  const relatedTerms = extractRelatedTerms(q, aiSuggestions, facets.industry, facets.designStyle);
+
+  const pinterestCount = grouped.combined.filter(img => img.source === "Pinterest").length;
+
+  // Score all results together (shared IDF), then order each category by score, or by
+  // closeness to the target colors with sort=color
+  const scoredImages = scoreImages(Object.values(grouped).flat(), q, facets, { explain: explain === "true" });
+  const categories = [...new Set(scoredImages.map(img => img.category))];
+  const allImages = categories.flatMap(category => order(scoredImages.filter(img => img.category === category)));
+
+  const categoryCounts = Object.fromEntries(Object.entries(grouped).map(([group, images]) => [group, images.length]));
+  recordSearchResults(categoryCounts);
+
+  // Keep served assets addressable by id for boards, exports and the image proxy, with
+  // the provider's thumbnail as the proxy's fallback source
+  await rememberAssets(allImages);
+
+  // Cursor for the next page, or null once every provider has run out
+  const page = cursor?.page || 1;
+  const nextCursor = Object.keys(nextOffsets).length > 0 ? encodeCursor({
+    fingerprint: searchFingerprint(params),
+    offsets: nextOffsets,
+    seen: [...(cursor?.seen || []), ...allImages.map(img => shortAssetId(img.id))],
+    colorBase,
+    page: page + 1
+  }) : null;
+
+  const stats = {
+    totalImages: allImages.length,
+    pinterestCount: pinterestCount,
+    sources: [...new Set(allImages.flatMap(img => img.sources.map(s => s.source)))],
+    // Per-provider outcome so the UI can tell "no results" from "provider down"
+    providers: summarizeReports(reports)
+  };
+  const failedProviders = stats.providers.filter(p => p.status !== "ok");
+  logger[failedProviders.length > 0 ? "warn" : "info"]("search completed", {
+    query: q,
+    page,
+    totalImages: allImages.length,
+    categories: categoryCounts,
+    // Share of Pinterest pins among combined results; null when there are none
+    pinterestRatio: grouped.combined.length > 0 ? Math.round(pinterestCount / grouped.combined.length * 100) / 100 : null,
+    failedProviders: failedProviders.length > 0 ? failedProviders.map(p => `${p.name}=${p.status}`) : undefined
+  });
+  emit("done", { stats, order: allImages.map(img => img.id), page, cursor: nextCursor });
+
+  return {
+    images: allImages.map(withProxiedThumbnail),
+    aiSuggestions,
+    brief,
+    relatedTerms,
+    colorPalette,
+    heading,
+    query: {
+      original: q,
+      enhanced: enhancedQuery,
+      params: { ...facets, imageColors },
+      parsed,
+      filters: imageFilters,
+      colorMatch: { ...colorMatch, targets },
+      license,
+      sources: activeProviders
+    },
+    page,
+    cursor: nextCursor,
+    stats
+  };
+};
 
-    return processGoogleResults(response.data.items);
+// Providers that are enabled, configured, (optionally) requested via sources=a,b and
+// able to return images under the requested license
+const searchProviders = ({ sources, license }) => {
+  const licenseTypes = allowedLicenseTypes(parseLicenseFilter(license));
+  return resolveProviders(sources).filter(name =>
+    (getProvider(name).capabilities.licenses || LICENSE_TYPES).some(type => licenseTypes.includes(type)));
+};
+
+// Generation takes far longer than search, so with ai=true the first page starts a job
+// and returns its id; clients poll or stream GET /generate/:id for the images. The job
+// belongs to the requesting client, so it is started per request and never cached.
+const startSearchGeneration = async (params, { cursor = null, client = null } = {}) => {
+  const { q, industry, designStyle, font, color, ai } = params;
+  if (ai !== "true" || cursor || !searchProviders(params).includes("freepik-ai")) return null;
+  return startGeneration(
+    { prompt: [q, industry, designStyle, font, color].filter(Boolean).join(' ') },
+    { source: "search", client }
+  );
+};
+
+// Parameters that change a /search response, and so make up its cache key
+const SEARCH_CACHE_PARAMS = [
+  "q", "industry", "font", "color", "designStyle", "ai", "platforms", "sources", "explain",
+  "minWidth", "minHeight", "orientation", "validate", "aiFormat", "imageColors", "colorMatch", "sort", "license"
+];
+
+// Cursors are case-sensitive, so they join the key as a hash rather than lowercased
+const searchCacheKey = (query) => cacheKey('search', {
+  ...Object.fromEntries(SEARCH_CACHE_PARAMS.map(name => [name, query[name]])),
+  cursor: query.cursor ? fingerprint(query.cursor) : undefined
+});
+
+// Check the text params that reach the prompt and queries; returns a 400 body or null
+const checkSearchParams = (query, { required = true } = {}) => {
+  if (required && !query.q) return { error: "Query is required" };
+  const problems = validateSearchParams(query);
+  return problems.length > 0 ? { error: "Invalid search parameters", details: problems } : null;
+};
+
+// Decode and check a `cursor` param; returns { cursor } or { error } for a 400 response
+const readCursor = (query) => {
+  if (!query.cursor) return { cursor: null };
+  const cursor = decodeCursor(query.cursor);
+  if (!cursor) return { error: "Invalid cursor" };
+  if (cursor.fingerprint !== searchFingerprint(query)) return { error: "Cursor does not belong to this search" };
+  return { cursor };
+};
+
+// Don't keep responses with failed providers (their successful calls are still cached
+// per provider) or where the model and every provider failed
+const isCacheableSearch = (result) =>
+  result.stats.providers.every(p => p.status === "ok") &&
+  (result.images.length > 0 || result.brief.source !== "fallback");
+
+// Re-emit a cached response as the same events a live streaming search produces
+const replaySearch = (result, emit) => {
+  emit("brief", { aiSuggestions: result.aiSuggestions, brief: result.brief, heading: result.heading });
+  emit("palette", { colorPalette: result.colorPalette });
+  [...new Set(result.images.map(img => img.category))].forEach(category => {
+    emit("images", { batch: "cache", category, images: result.images.filter(img => img.category === category) });
+  });
+  emit("done", { stats: result.stats, order: result.images.map(img => img.id), page: result.page, cursor: result.cursor });
+};
+
+// Whole-response cached search, as served by /search. With ai=true a generation job owned
+// by `client` is started for this request and added to the response (`generate: false`
+// skips it for callers that only use the images).
+const cachedSearch = async (query, { refresh = false, cursor = null, client = null, generate = true } = {}) => {
+  const cached = await searchCache.wrap(
+    searchCacheKey(query),
+    () => runSearch(query, undefined, { refresh, cursor }),
+    { refresh, shouldCache: isCacheableSearch }
+  );
+  const generation = generate ? await startSearchGeneration(query, { cursor, client }) : null;
+  return { ...cached, value: { ...cached.value, generation } };
+};
+
+// Main search route
+app.get("/search", async (req, res) => {
+  try {
+    const invalid = checkSearchParams(req.query);
+    if (invalid) return res.status(400).json(invalid);
+    const { cursor, error } = readCursor(req.query);
+    if (error) return res.status(400).json({ error });
+    const cached = await cachedSearch(req.query, { refresh: wantsRefresh(req), cursor, client: req.client?.name });
+    setCacheHeaders(res, cached);
+    // Return comprehensive results
+    res.json(cached.value);
   } catch (error) {
-    console.error("❌ Google Custom Search API Error:", error.response?.data || error.message);
-    return [];
+    logger.error("search failed", { error });
+    res.status(500).json({ error: "Failed to fetch design resources", details: error.message });
   }
-};
+});
 
-// Helper function to process Google search results
-const processGoogleResults = (items) => {
-  // Generate a unique ID for each image based on URL
-  const images = items.map((item) => ({
-    image: item.link,
-    title: item.title || "Design Inspiration",
-    source: "Google Images",
-    url: item.image?.contextLink || item.displayLink || "",
-    snippet: item.snippet || "",
-    id: Buffer.from(item.link).toString('base64').substring(0, 12) // Create a short unique ID from URL
-  }));
-  
-  // Return results without duplicates
-  const uniqueImages = [];
-  const seenIds = new Set();
-  
-  for (const img of images) {
-    if (!seenIds.has(img.id)) {
-      seenIds.add(img.id);
-      uniqueImages.push(img);
-    }
+// Streaming variant of /search: Server-Sent Events for the brief, the palette, each
+// provider batch after dedup and the final stats/order
+app.get("/search/stream", async (req, res) => {
+  const invalid = checkSearchParams(req.query);
+  if (invalid) return res.status(400).json(invalid);
+  const { cursor, error } = readCursor(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const refresh = wantsRefresh(req);
+  const key = searchCacheKey(req.query);
+  let cached;
+  try {
+    cached = refresh ? null : await searchCache.get(key);
+  } catch (error) {
+    // Nothing is streamed yet, so this fails like /search does
+    logger.error("search stream failed", { error });
+    return res.status(500).json({ error: "Failed to fetch design resources", details: error.message });
   }
-  
-  return uniqueImages;
-};
 
-// Function to fetch inspiration from Dribbble via their API
-const fetchDribbbleInspiration = async (query, limit = 8) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // Stop proxies such as nginx from buffering the stream
+  });
+  setCacheHeaders(res, cached ? { status: "HIT", expiresAt: cached.expiresAt } : { status: "MISS" });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on("close", () => { closed = true; });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
   try {
-    // NOTE: You'll need to register for a Dribbble API key
-    // This is a placeholder for the API call structure
-    if (!process.env.DRIBBBLE_API_KEY) {
-      console.log("Dribbble API key not configured, skipping Dribbble results");
-      return [];
-    }
-    
-    const response = await axios.get(`https://api.dribbble.com/v2/shots`, {
-      params: {
-        query: query,
-        per_page: limit
-      },
-      headers: {
-        'Authorization': `Bearer ${process.env.DRIBBBLE_API_KEY}`
-      }
-    });
-    
-    if (!response.data || !Array.isArray(response.data)) {
-      return [];
+    const generation = await startSearchGeneration(req.query, { cursor, client: req.client?.name });
+    if (generation) send("generation", generation);
+    if (cached) {
+      replaySearch(cached.value, send);
+    } else {
+      const result = await runSearch(req.query, send, { refresh, cursor });
+      if (isCacheableSearch(result)) await searchCache.set(key, result);
     }
-    
-    return response.data.map(item => ({
-      image: item.images?.normal || "",
-      title: item.title || "Dribbble Design",
-      source: "Dribbble",
-      url: item.html_url || "",
-      author: item.user?.name || "Dribbble Designer"
-    })).filter(img => img.image);
   } catch (error) {
-    console.error("❌ Dribbble API Error:", error.response?.data || error.message);
-    return [];
+    logger.error("search stream failed", { error });
+    send("error", { error: "Failed to fetch design resources", details: error.message });
   }
+  res.end();
+});
+
+// ---------- SEARCH BY IMAGE ----------
+const MAX_UPLOAD_BYTES = Number(process.env.IMAGE_UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+
+// Multer errors (oversized file, wrong field) as JSON responses instead of the default handler
+const receiveImage = (req, res, next) => upload.single("image")(req, res, (error) => {
+  if (!error) return next();
+  res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ error: error.message });
+});
+
+// Multipart upload: `image` (JPEG/PNG/WebP) plus any /search params as fields; q is
+// optional and defaults to the image's tags and color names. The image's dominant colors
+// drive the palette and color queries; later pages are plain GET /search requests with
+// the returned `image.searchParams` and the response cursor.
+app.post("/search/by-image", receiveImage, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "An image file is required (field \"image\")" });
+  try {
+    const analysis = await extractImagePalette(req.file.buffer);
+    const families = [...new Set(analysis.palette.map(c => c.family))];
+    const params = {
+      ...Object.fromEntries(SEARCH_CACHE_PARAMS.filter(name => req.body[name]).map(name => [name, req.body[name]])),
+      imageColors: analysis.palette.map(c => c.hex).join(",")
+    };
+    if (!params.q) params.q = [...analysis.tags.slice(0, 2), ...families.slice(0, 2)].join(" ");
+    const invalid = checkSearchParams(params);
+    if (invalid) return res.status(400).json(invalid);
+
+    const cached = await cachedSearch(params, { refresh: wantsRefresh(req), client: req.client?.name });
+    setCacheHeaders(res, cached);
+    res.json({ ...cached.value, image: { ...analysis, searchParams: params } });
+  } catch (error) {
+    if (error instanceof ImageDecodeError) return res.status(415).json({ error: error.message });
+    logger.error("image search failed", { error });
+    res.status(500).json({ error: "Failed to search by image", details: error.message });
+  }
+});
+
+// ---------- BOARDS ----------
+const boards = createBoardStore(process.env.BOARDS_FILE || "data/boards.json");
+
+const handleBoardError = (res, error) => {
+  if (error instanceof BoardValidationError) return res.status(400).json({ error: error.message });
+  if (error instanceof UnknownAssetError) return res.status(404).json({ error: error.message });
+  logger.error("board operation failed", { error });
+  res.status(500).json({ error: "Board operation failed", details: error.message });
 };
 
-// Improved Pinterest search function with better image filtering
-const fetchPinterestViaGoogle = async (query, limit = 10) => {
+const boardNotFound = (res) => res.status(404).json({ error: "Board not found" });
+// Boards are private to the client that created them; other clients get a 404
+const boardOwner = (req) => ({ client: req.client?.name ?? null });
+
+app.get("/boards", async (req, res) => {
   try {
-    const response = await axios.get("https://www.googleapis.com/customsearch/v1", {
-      params: {
-        q: `${query} site:pinterest.com`,
-        key: process.env.GOOGLE_API_KEY,
-        cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
-        searchType: "image",
-        num: Math.min(limit+4, 10), // Request extra images in case some fail validation
-        safe: "active",
-        imgSize: "large", // Prefer high-quality images
-      },
-    });
+    res.json({ boards: await boards.list(boardOwner(req)) });
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
 
-    if (!response.data || !response.data.items) {
-      console.log(`No Pinterest results for query: "${query}"`);
-      return [];
-    }
+// Body: { name, description?, query?, brief? | palette?/typography?/fontPairings?, items? }
+app.post("/boards", async (req, res) => {
+  try {
+    res.status(201).json(await boards.create(req.body, boardOwner(req)));
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
 
-    const images = response.data.items.map((item) => ({
-      image: item.link,
-      title: item.title?.replace(" | Pinterest", "")
-                       .replace(" on Pinterest", "") || "Pinterest Inspiration",
-      source: "Pinterest",
-      url: item.image?.contextLink || item.displayLink || "",
-      id: Buffer.from(item.link).toString('base64').substring(0, 12), // Create a unique ID
-      snippet: item.snippet || ""
-    })).filter(img => img.image);
-    
-    // Filter out very small Pinterest images (which are often icons or low quality)
-    return images;
+app.get("/boards/:id", async (req, res) => {
+  try {
+    const board = await boards.get(req.params.id, boardOwner(req));
+    if (!board) return boardNotFound(res);
+    res.json(board);
   } catch (error) {
-    console.error("❌ Pinterest search Error:", error.response?.data || error.message);
-    return [];
+    handleBoardError(res, error);
   }
-};
+});
 
-// Updated design platforms inspiration function with increased Pinterest results
-const fetchDesignPlatformsInspiration = async (query, options = {}) => {
+// Rename, edit the saved query, or pin palette/typography/font pairings
+app.patch("/boards/:id", async (req, res) => {
   try {
-    const { industry, designStyle, font, limit = 20 } = options; // Increased from 10 to 20
-    
-    // Create more specific Pinterest queries for better results
-    const mainQuery = [query, industry, designStyle, font, 'design'].filter(Boolean).join(' ');
-    const alternateQuery = [query, industry, 'inspiration'].filter(Boolean).join(' ');
-    
-    // Run two separate Pinterest queries for more diverse results
-    const [mainResults, alternateResults] = await Promise.all([
-      fetchPinterestViaGoogle(mainQuery, Math.ceil(limit/2)),
-      fetchPinterestViaGoogle(alternateQuery, Math.floor(limit/2))
-    ]);
-    
-    // Combine and deduplicate results
-    const combinedResults = [...mainResults];
-    const seenIds = new Set(mainResults.map(item => item.id));
-    
-    // Add alternate results if they're not duplicates
-    alternateResults.forEach(item => {
-      if (!seenIds.has(item.id)) {
-        combinedResults.push(item);
-        seenIds.add(item.id);
-      }
+    const board = await boards.update(req.params.id, req.body, boardOwner(req));
+    if (!board) return boardNotFound(res);
+    res.json(board);
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
+
+app.delete("/boards/:id", async (req, res) => {
+  try {
+    if (!(await boards.remove(req.params.id, boardOwner(req)))) return boardNotFound(res);
+    res.status(204).end();
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
+
+// Body: { assetId, note? } for an asset /search served recently. The stored image is the
+// one /search served; an `image` object from older clients only contributes its id.
+app.post("/boards/:id/items", async (req, res) => {
+  try {
+    const item = await boards.addItem(req.params.id, req.body || {}, boardOwner(req));
+    if (!item) return boardNotFound(res);
+    res.status(201).json(item);
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
+
+app.patch("/boards/:id/items/:assetId", async (req, res) => {
+  try {
+    const item = await boards.updateItem(req.params.id, req.params.assetId, req.body || {}, boardOwner(req));
+    if (item === null) return boardNotFound(res);
+    if (item === false) return res.status(404).json({ error: "Item not found on this board" });
+    res.json(item);
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
+
+app.delete("/boards/:id/items/:assetId", async (req, res) => {
+  try {
+    const removed = await boards.removeItem(req.params.id, req.params.assetId, boardOwner(req));
+    if (removed === null) return boardNotFound(res);
+    if (!removed) return res.status(404).json({ error: "Item not found on this board" });
+    res.status(204).end();
+  } catch (error) {
+    handleBoardError(res, error);
+  }
+});
+
+// Re-run the board's saved query; images already on the board are left out
+app.post("/boards/:id/refresh", async (req, res) => {
+  try {
+    const board = await boards.get(req.params.id, boardOwner(req));
+    if (!board) return boardNotFound(res);
+    if (!board.query.q) return res.status(400).json({ error: "Board has no saved query to refresh" });
+
+    const cached = await cachedSearch(board.query, { refresh: wantsRefresh(req), client: req.client?.name });
+    const saved = new Set(board.items.map(item => item.assetId));
+    await boards.markRefreshed(board.id, boardOwner(req));
+    setCacheHeaders(res, cached);
+    res.json({
+      ...cached.value,
+      images: cached.value.images.filter(img => !saved.has(img.id)),
+      board: { id: board.id, name: board.name, alreadySaved: cached.value.images.filter(img => saved.has(img.id)).length }
     });
-    
-    // Return results with combined category
-    return combinedResults.map(item => ({
-      ...item,
-      source: "Pinterest" // Ensure source is marked correctly
-    }));
   } catch (error) {
-    console.error("❌ Design platforms search error:", error.message);
-    return [];
+    handleBoardError(res, error);
   }
+});
+
+// ---------- GENERATION ----------
+// Text-to-image jobs (Freepik AI). Each job keeps its prompt, styling options and seed,
+// so a design can be regenerated exactly or varied later.
+const generations = createGenerationService({
+  file: process.env.GENERATIONS_FILE || "data/generations.json",
+  generate: async (job) => {
+    const { images, report } = await runProvider("freepik-ai", job.prompt, job.options);
+    if (report.status !== "ok") throw new Error(report.error || `Generation ${report.status}`);
+    const generated = images.map(img => ({ ...img, ...GENERATED_FIELDS, generation: { id: job.id, seed: job.options.seed } }));
+    // Addressable by id like search results, so they can be saved to boards
+    await rememberAssets(generated);
+    return { images: generated.map(withProxiedThumbnail) };
+  }
+});
+
+const jobLinks = (job) => ({ statusUrl: `/generate/${job.id}`, eventsUrl: `/generate/${job.id}/events` });
+
+// Start a job for /search; a full queue or unusable prompt is reported, not thrown,
+// so the search results are still served
+const startGeneration = async (input, meta) => {
+  try {
+    const job = await generations.submit(input, meta);
+    return { id: job.id, status: job.status, seed: job.options.seed, ...jobLinks(job) };
+  } catch (error) {
+    if (!(error instanceof GenerationQueueFullError || error instanceof GenerationValidationError)) throw error;
+    return { id: null, status: "rejected", error: error.message };
+  }
+};
+
+const handleGenerationError = (res, error) => {
+  if (error instanceof GenerationValidationError) return res.status(400).json({ error: error.message });
+  if (error instanceof GenerationQueueFullError) {
+    res.set("Retry-After", "10");
+    return res.status(503).json({ error: error.message });
+  }
+  logger.error("generation request failed", { error });
+  res.status(500).json({ error: "Generation request failed", details: error.message });
 };
 
-const fetchFreepikImages = async (query, limit = 10, format = '') => {
+const generationUnavailable = (res) => res.status(503).json({ error: "AI generation is not configured" });
+const jobNotFound = (res) => res.status(404).json({ error: "Generation job not found" });
+
+const acceptJob = (res, job) => {
+  res.set("Location", `/generate/${job.id}`);
+  res.status(202).json({ ...job, ...jobLinks(job) });
+};
+
+// Body: { prompt, aspectRatio?, style?, color?, camera?, lighting?, numImages?,
+// guidanceScale?, negativePrompt?, seed? }; 202 with the queued job
+app.post("/generate", async (req, res) => {
+  if (!resolveProviders("freepik-ai").includes("freepik-ai")) return generationUnavailable(res);
   try {
-    const params = {
-      term: query,
-      locale: "en-US",
-      page: 1,
-      limit: limit,
-      order: "relevance"
-    };
-    // Add format filter if specified
-    if (format && ['vector', 'psd'].includes(format.toLowerCase())) {
-      params.format = format.toLowerCase();
+    acceptJob(res, await generations.submit(req.body || {}, { client: req.client?.name }));
+  } catch (error) {
+    handleGenerationError(res, error);
+  }
+});
+
+// The calling client's recent jobs, newest first
+app.get("/generate", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({ jobs: await generations.list({ limit, client: req.client?.name }), queue: generations.stats() });
+  } catch (error) {
+    handleGenerationError(res, error);
+  }
+});
+
+app.get("/generate/:id", async (req, res) => {
+  try {
+    const job = await generations.get(req.params.id, { client: req.client?.name });
+    if (!job) return jobNotFound(res);
+    res.json({ ...job, ...jobLinks(job) });
+  } catch (error) {
+    handleGenerationError(res, error);
+  }
+});
+
+// Server-Sent Events: a "job" event with the current state and on every change; the
+// stream ends once the job has succeeded or failed
+app.get("/generate/:id/events", async (req, res) => {
+  let job;
+  try {
+    job = await generations.get(req.params.id, { client: req.client?.name });
+  } catch (error) {
+    return handleGenerationError(res, error);
+  }
+  if (!job) return jobNotFound(res);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  const send = (current) => {
+    res.write(`event: job\ndata: ${JSON.stringify(current)}\n\n`);
+    if (generations.isFinished(current)) {
+      unsubscribe();
+      res.end();
     }
-    const response = await axios.get("https://api.freepik.com/v1/resources", {
-      headers: {
-        'x-freepik-api-key': process.env.FREEPIK_API_KEY
-      },
-      params: params
+  };
+  const unsubscribe = generations.subscribe(job.id, send);
+  req.on("close", unsubscribe);
+  send(job);
+});
+
+// Body: { vary?, prompt?, ...styling options }. Queues a new job from an earlier one with
+// the same prompt, options and seed (an exact regeneration) unless `vary` is true, which
+// picks a new seed, or overrides are given
+app.post("/generate/:id/regenerate", async (req, res) => {
+  if (!resolveProviders("freepik-ai").includes("freepik-ai")) return generationUnavailable(res);
+  try {
+    const job = await generations.regenerate(req.params.id, req.body || {}, { client: req.client?.name });
+    if (!job) return jobNotFound(res);
+    acceptJob(res, job);
+  } catch (error) {
+    handleGenerationError(res, error);
+  }
+});
+
+// ---------- IMAGE PROXY ----------
+// /img/:assetId?w=&h=&format=avif|webp|jpeg for assets /search or /generate served. The
+// upstream image is fetched once into a size-bounded disk cache. Without params the
+// original is passed through; w/h are rounded up to fixed steps and the image fits inside
+// them (cropped to cover when both are given); without format the best one the browser
+// accepts is used.
+app.get("/img/:assetId", async (req, res) => {
+  const { enabled, maxAgeSeconds } = imageProxyConfig();
+  if (!enabled) return res.status(404).json({ error: "Image proxy is disabled" });
+  try {
+    const image = await lookupAsset(req.params.assetId);
+    if (!image) return res.status(404).json({ error: "Asset not found; it may have expired" });
+    const variant = parseVariant(req.query, req.get("Accept"));
+    const { buffer, contentType, status } = await proxyImage(image, variant);
+    res.set({
+      "Content-Type": contentType,
+      "Cache-Control": `public, max-age=${maxAgeSeconds}, immutable`,
+      "X-Cache": status,
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "default-src 'none'"
     });
-    if (!response.data || !response.data.data) {
-      return [];
-    }
-    return response.data.data.map(item => ({
-      image: item.image?.source?.url || item.image?.regular_url,
-      title: item.title || "Design Resource",
-      source: "Freepik",
-      url: item.url || "",
-      author: item.contributor?.username || "Freepik Artist",
-      format: item.format || format || "image",
-      isPremium: item.is_premium || false,
-      id: Buffer.from(item.image?.source?.url || item.image?.regular_url || "").toString('base64').substring(0, 12) // Create a unique ID
-    })).filter(img => img.image);
+    if (variant?.negotiated) res.vary("Accept");
+    res.send(buffer);
   } catch (error) {
-    console.error("❌ Freepik API Error:", error.response?.data || error.message);
-    return [];
+    if (error instanceof ImageProxyError) return res.status(error.status).json({ error: error.message });
+    logger.error("image proxy failed", { error });
+    res.status(500).json({ error: "Failed to serve image", details: error.message });
   }
-};
+});
+
+// ---------- ATTRIBUTION ----------
+const ATTRIBUTION_MAX_ASSETS = 200;
 
-// Function to generate AI images using Freepik API
-const fetchFreepikAIImage = async (prompt, aspectRatio = 'square_1_1', color = 'softhue', camera = 'portrait', lighting = 'iridescent') => {
+// Credits for assets /search served, by ?ids=<id>,<id> or ?boardId= for a saved board:
+// each asset's license and attribution line, the ones not cleared for commercial use,
+// and ids that are unknown or expired. format=text returns just the credits list.
+app.get("/attribution", async (req, res) => {
+  const format = req.query.format || "json";
+  if (!["json", "text"].includes(format)) return res.status(400).json({ error: 'format must be "json" or "text"' });
   try {
-    const data = {
-      prompt,
-      aspect_ratio: aspectRatio,
-      styling: {
-        effects: {
-          color,
-          camera,
-          lightning: lighting,
-        },
-      },
-      seed: Math.floor(Math.random() * 1000000), 
-    };
-    const response = await axios.post(
-      'https://api.freepik.com/v1/ai/text-to-image',
-      data,
-      {
-        headers: {
-          'x-freepik-api-key': process.env.FREEPIK_API_KEY,
-          'Content-Type': 'application/json',
-        }
+    let images;
+    let missing = [];
+    if (req.query.boardId) {
+      const board = await boards.get(req.query.boardId, boardOwner(req));
+      if (!board) return boardNotFound(res);
+      images = board.items.map(item => item.image);
+    } else {
+      const ids = [...new Set(String(req.query.ids || "").split(",").map(id => id.trim()).filter(Boolean))];
+      if (ids.length === 0) return res.status(400).json({ error: "ids or boardId is required" });
+      if (ids.length > ATTRIBUTION_MAX_ASSETS) {
+        return res.status(400).json({ error: `At most ${ATTRIBUTION_MAX_ASSETS} ids per request` });
       }
-    );
-    // Properly check response structure
-    if (response.data && response.data.images && Array.isArray(response.data.images)) {
-      return response.data.images.map((img) => ({
-        image: img.url,
-        title: "AI Generated Design",
-        source: "Freepik AI",
-        format: "AI Image",
-        id: Buffer.from(img.url || "").toString('base64').substring(0, 12) // Create a unique ID
-      }));
+      const found = await Promise.all(ids.map(lookupAsset));
+      images = found.filter(Boolean);
+      missing = ids.filter((id, index) => !found[index]);
     }
-    console.log("Unexpected response format from Freepik AI:", response.data);
-    return [];
+    const credits = buildCredits(images);
+    if (format === "text") return res.type("text").send(creditsToText(credits));
+    res.json({ ...credits, missing, text: creditsToText(credits) });
   } catch (error) {
-    if (error.response) {
-      console.error("❌ Freepik AI Error Status:", error.response.status);
-      console.error("❌ Freepik AI Error Data:", error.response.data);
-    } else {
-      console.error("❌ Freepik AI Error:", error.message);
-    }
-    return [];
+    logger.error("attribution failed", { error });
+    res.status(500).json({ error: "Failed to build attribution", details: error.message });
   }
+});
+
+// ---------- EXPORT ----------
+const MOODBOARD_MAX_IMAGES = 60;
+
+const exportFilename = (prefix, title) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+  return `${prefix}-${slug || "export"}`;
 };
 
-const extractHeading = (aiSuggestions) => {
-  const headingMatch = aiSuggestions.match(/^#\s+([^\n]+)|^##\s+([^\n]+)|^(.+?)\n/);
-  if (headingMatch) {
-    return (headingMatch[1] || headingMatch[2] || headingMatch[3] || "Design Recommendations").trim();
+// Export contents from a saved board (?boardId=) or a /search query (same params)
+const exportContent = async (query, owner) => {
+  if (query.boardId) {
+    const board = await boards.get(query.boardId, owner);
+    if (!board) return null;
+    return {
+      title: board.name,
+      subtitle: board.description || board.query.q || "",
+      palette: board.palette,
+      typography: board.typography,
+      fontPairings: board.fontPairings,
+      // Only images checked against the asset index when they were added get downloaded
+      images: board.items.filter(item => item.verified).map(item => item.image)
+    };
   }
-  return "Design Recommendations";
+  const { value: result } = await cachedSearch(query, { generate: false });
+  // Swatches follow colorPalette; roles and descriptions come from the brief where it has them
+  const briefColors = new Map((result.brief?.palette || []).map(entry => [entry.hex, entry]));
+  return {
+    title: result.heading,
+    subtitle: result.query.original,
+    palette: result.colorPalette.map(hex => briefColors.get(hex) || { hex }),
+    typography: result.brief?.typography || [],
+    fontPairings: result.brief?.fontPairings || [],
+    images: result.images
+  };
 };
 
-// Fetch AI-based design recommendations
-const getDesignSuggestions = async (query, industry, font, colorHex, designStyle) => {
+// Client-ready moodboard as one self-contained file:
+// /export/moodboard?q=...&format=html|pdf&layout=grid|masonry|one-pager&limit=24
+// or ?boardId=... to export a saved board
+app.get("/export/moodboard", async (req, res) => {
+  const format = req.query.format || "html";
+  const layout = req.query.layout || "grid";
+  const limit = Math.min(Number(req.query.limit) || 24, MOODBOARD_MAX_IMAGES);
+  if (!["html", "pdf"].includes(format)) return res.status(400).json({ error: 'format must be "html" or "pdf"' });
+  if (!moodboard.LAYOUTS.includes(layout)) {
+    return res.status(400).json({ error: `Unknown layout "${layout}"`, layouts: moodboard.LAYOUTS });
+  }
+  if (!req.query.boardId && !req.query.q) return res.status(400).json({ error: "q or boardId is required" });
+  const invalid = req.query.boardId ? null : checkSearchParams(req.query);
+  if (invalid) return res.status(400).json(invalid);
+
   try {
-    const url = `https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`;
-    const prompt = `
-      As a professional design consultant, provide specific and actionable design recommendations based on these inputs:
-      - Query: "${query}"
-      - Industry: "${industry || 'Not specified'}"
-      - Font Type: "${font || 'Not specified'}"
-      - Color: "${colorHex || 'Not specified'}"
-      - Design Style: "${designStyle || 'Not specified'}"
-      
-      Start with a main title that summarizes the design concept.
-      
-      Provide your response in this format:
-      
-      # [MAIN TITLE: DESIGN CONCEPT SUMMARY]
-      
-      # COLOR PALETTE
-      - Primary: #HEXCODE (short description)
-      - Secondary: #HEXCODE (short description)
-      - Accent 1: #HEXCODE (short description)
-      - Accent 2: #HEXCODE (short description)
-      
-      # TYPOGRAPHY RECOMMENDATIONS
-      1. Font Name (style, weight) - specific usage
-      2. Font Name (style, weight) - specific usage
-      3. Font Name (style, weight) - specific usage
-      4. Font Name (style, weight) - specific usage
-      5. Font Name (style, weight) - specific usage
-      
-      # BRAND INSPIRATION
-      1. Brand Name - brief description
-      2. Brand Name - brief description
-      3. Brand Name - brief description
-      4. Brand Name - brief description
-      5. Brand Name - brief description
-      
-      # DESIGN LANGUAGE RECOMMENDATIONS
-      1. Specific design element - explanation
-      2. Specific design element - explanation
-      3. Specific design element - explanation
-      4. Specific design element - explanation
-      5. Specific design element - explanation
-      
-      # FONT PAIRING RECOMMENDATIONS
-      1. Headline: Font Name + Body: Font Name - context
-      2. Headline: Font Name + Body: Font Name - context
-      3. Headline: Font Name + Body: Font Name - context
-      
-      # KEY DESIGN ELEMENTS
-      1. Element - purpose and impact
-      2. Element - purpose and impact
-      3. Element - purpose and impact
-      4. Element - purpose and impact
-      
-      # LAYOUT SUGGESTIONS
-      1. Specific layout for ${industry || 'this industry'} - description
-      2. Specific layout for ${industry || 'this industry'} - description
-      3. Specific layout for ${industry || 'this industry'} - description
-    `;
-    const payload = { contents: [{ parts: [{ text: prompt }] }] };
-    const response = await axios.post(url, payload, { headers: { "Content-Type": "application/json" } });
-    let aiText = response.data.candidates?.[0]?.content?.parts?.[0]?.text || "No AI suggestions available.";
-    aiText = aiText.replace(/\*\*/g, '');
-    aiText = aiText.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
-    aiText = makeLinksClickable(aiText);
-    aiText = aiText.replace(/# ([^\n]+)/g, '<h1>$1</h1>');
-    aiText = aiText.replace(/## ([^\n]+)/g, '<h2>$1</h2>');
-    return aiText;
+    const content = await exportContent(req.query, boardOwner(req));
+    if (!content) return boardNotFound(res);
+    const images = await moodboard.inlineImages(content.images.slice(0, limit));
+    const html = moodboard.renderMoodboardHtml({ ...content, images, layout });
+    const filename = exportFilename("moodboard", content.title);
+
+    if (format === "html") {
+      res.set("Content-Disposition", `attachment; filename="${filename}.html"`);
+      return res.type("html").send(html);
+    }
+    let pdf;
+    try {
+      pdf = await moodboard.renderMoodboardPdf(html, { layout });
+    } catch (error) {
+      if (error instanceof moodboard.PdfQueueFullError) {
+        res.set("Retry-After", "10");
+        return res.status(503).json({ error: error.message });
+      }
+      logger.error("pdf render failed", { error });
+      return res.status(503).json({ error: "PDF rendering is unavailable", details: error.message });
+    }
+    res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    res.type("pdf").send(Buffer.from(pdf));
   } catch (error) {
-    console.error("❌ Gemini API Error:", error.response?.data || error.message);
-    return "Could not generate AI suggestions.";
+    logger.error("moodboard export failed", { error });
+    res.status(500).json({ error: "Failed to export moodboard", details: error.message });
   }
-};
+});
 
-const extractRelatedTerms = (query, aiSuggestions, industry, designStyle) => {
-  return nlpUtils.extractEnhancedTerms(query, { industry, designStyle });
+// Palette and typography as design tokens:
+// /export/tokens?q=...&format=w3c|css|scss|tailwind|ase|gpl, or ?boardId=...
+app.get("/export/tokens", async (req, res) => {
+  const format = req.query.format || "w3c";
+  // Own keys only, so "toString" and friends are unknown formats rather than a 500
+  const spec = Object.hasOwn(TOKEN_FORMATS, format) ? TOKEN_FORMATS[format] : null;
+  if (!spec) return res.status(400).json({ error: `Unknown format "${format}"`, formats: Object.keys(TOKEN_FORMATS) });
+  if (!req.query.boardId && !req.query.q) return res.status(400).json({ error: "q or boardId is required" });
+  const invalid = req.query.boardId ? null : checkSearchParams(req.query);
+  if (invalid) return res.status(400).json(invalid);
+
+  try {
+    const content = await exportContent(req.query, boardOwner(req));
+    if (!content) return boardNotFound(res);
+    const tokens = buildTokenSet(content);
+    res.set("Content-Disposition", `attachment; filename="${exportFilename("tokens", content.title)}.${spec.extension}"`);
+    res.type(spec.contentType).send(spec.render(tokens));
+  } catch (error) {
+    logger.error("token export failed", { error });
+    res.status(500).json({ error: "Failed to export design tokens", details: error.message });
+  }
+});
+
+// ---------- FIGMA ----------
+const handleFigmaError = (res, error) => {
+  if (error instanceof FigmaError) return res.status(error.status).json({ error: error.message });
+  logger.error("figma request failed", { error });
+  res.status(500).json({ error: "Figma request failed", details: error.message });
 };
 
-const extractColorPalette = (aiSuggestions, inputColor = null) => {
-  return nlpUtils.extractAdvancedColorPalette(aiSuggestions, inputColor);
+// Common checks for both Figma routes; returns the file key or sends the error response
+const figmaFileKey = (req, res) => {
+  if (!isFigmaConfigured()) {
+    res.status(503).json({ error: "Figma integration is not configured (FIGMA_TOKEN missing)" });
+    return null;
+  }
+  const fileKey = parseFileKey(req.body?.file);
+  if (!fileKey) res.status(400).json({ error: "file must be a Figma file key or URL" });
+  return fileKey;
 };
 
-// Main search route with priority for Pinterest results
-app.get("/search", async (req, res) => {
+// Body: { file, q? }. Reads the file's color and text styles and turns them into
+// /search parameters (color, font, inferred designStyle)
+app.post("/figma/import", async (req, res) => {
+  const fileKey = figmaFileKey(req, res);
+  if (!fileKey) return;
   try {
-    const { q, industry, font, color, designStyle, ai = false, platforms = "true" } = req.query;
-    if (!q) return res.status(400).json({ error: "Query is required" });
-
-    console.log(`📊 Search request: query="${q}", industry="${industry || 'none'}", font="${font || 'none'}", designStyle="${designStyle || 'none'}", platforms=${platforms}`);
-
-    // Get AI suggestions first to extract color palette for better queries
-    const aiSuggestions = await getDesignSuggestions(q, industry, font, color, designStyle);
-    const colorPalette = extractColorPalette(aiSuggestions, color);
-    const heading = extractHeading(aiSuggestions);
-
-    // Generate more specific search queries that include all parameters
-    const enhancedQuery = [
-      q,
-      industry,
-      font,
-      designStyle,
-      'design inspiration'
-    ].filter(Boolean).join(' ');
-    
-    const colorQuery = [
-      q,
-      industry,
-      color || (colorPalette.length > 0 ? colorPalette[0] : ''),
-      designStyle,
-      'design'
-    ].filter(Boolean).join(' ');
-
-    // Create more specific Freepik queries
-    const mainFreepikQuery = [q, industry, designStyle, font].filter(Boolean).join(' ');
-    const colorFreepikQuery = [q, industry, color || (colorPalette.length > 0 ? colorPalette[0] : '')].filter(Boolean).join(' ');
-
-    // Execute all search queries in parallel
-    let platformPromise = [];
-    if (platforms === "true") {
-      platformPromise = fetchDesignPlatformsInspiration(q, { 
-        industry, 
-        designStyle, 
-        font,
-        limit: 20 // Request more Pinterest results
-      });
-    } else {
-      platformPromise = Promise.resolve([]);
+    const invalid = checkSearchParams(req.body, { required: false });
+    if (invalid) return res.status(400).json(invalid);
+    const styles = await readFileStyles(fileKey);
+    const params = { ...(req.body.q ? { q: String(req.body.q) } : {}), ...styleSearchParams(styles) };
+    res.json({
+      file: { key: fileKey, name: styles.name },
+      styles: { colors: styles.colors, text: styles.text },
+      params,
+      search: params.q ? `/search?${new URLSearchParams(params)}` : null
+    });
+  } catch (error) {
+    handleFigmaError(res, error);
+  }
+});
+
+// Body: { file, palette?, collection? } or { file, boardId | q (+ search params) }.
+// Writes the palette into the file as color variables named "color/<role>"
+app.post("/figma/export", async (req, res) => {
+  const fileKey = figmaFileKey(req, res);
+  if (!fileKey) return;
+  try {
+    let colors = req.body.palette;
+    if (!Array.isArray(colors)) {
+      if (!req.body.boardId && !req.body.q) return res.status(400).json({ error: "palette, boardId or q is required" });
+      const invalid = req.body.boardId ? null : checkSearchParams(req.body);
+      if (invalid) return res.status(400).json(invalid);
+      const content = await exportContent(req.body, boardOwner(req));
+      if (!content) return boardNotFound(res);
+      colors = content.palette;
     }
+    const tokens = buildTokenSet({ palette: colors });
+    if (tokens.colors.length === 0) return res.status(400).json({ error: "palette has no valid hex colors" });
 
-    // Run all search queries in parallel
-    const [
-      // Original sources
-      enhancedResults,
-      colorResults,
-      freepikMainResults,
-      freepikColorResults,
-      freepikVectorResults,
-      freepikPsdResults,
-      // Design platforms results (only Pinterest now)
-      designPlatformsResults
-    ] = await Promise.all([
-      fetchGoogleImages(enhancedQuery, 10), // Slightly reduced from 12
-      fetchGoogleImages(colorQuery, 6),     // Slightly reduced from 8
-      fetchFreepikImages(mainFreepikQuery, 10),
-      fetchFreepikImages(colorFreepikQuery, 10),
-      fetchFreepikImages([q, designStyle, 'vector'].filter(Boolean).join(' '), 8, 'vector'),
-      fetchFreepikImages([q, industry, 'template'].filter(Boolean).join(' '), 8, 'psd'),
-      platformPromise
-    ]);
-
-    // Generate AI images if requested
-    const freepikAIResults = ai === "true" ? await fetchFreepikAIImage(
-      [q, industry, designStyle, font, color].filter(Boolean).join(' ')
-    ) : [];
-
-    // Extract related search terms
-    const relatedTerms = extractRelatedTerms(q, aiSuggestions, industry, designStyle);
-
-    // ---------- IMPROVED DEDUPLICATION APPROACH ----------
-    // Map to track seen images by URL to prevent duplicates across categories
-    const seenUrls = new Set();
-    
-    // Helper function to filter out duplicates when adding to categories
-    const filterDuplicates = (images) => {
-      return images.filter(img => {
-        if (!img.image || seenUrls.has(img.image)) return false;
-        seenUrls.add(img.image);
-        return true;
-      });
-    };
+    const result = await writePaletteVariables(
+      fileKey,
+      tokens.colors.map(c => ({ ...c, name: `color/${c.name}` })),
+      { collection: req.body.collection ? String(req.body.collection).slice(0, 100) : undefined }
+    );
+    res.json({ file: { key: fileKey }, ...result });
+  } catch (error) {
+    handleFigmaError(res, error);
+  }
+});
 
-    // COMBINE INSPIRATION & PINTEREST TOGETHER
-    // Now prioritizing Pinterest results by including them first
-    const combinedInspiration = filterDuplicates([
-      ...designPlatformsResults, // Pinterest results FIRST to prioritize them
-      ...enhancedResults,
-      ...colorResults
-    ]).map(img => ({ ...img, category: "Combined Inspiration" }));
-
-    // Filter other categories with proper deduplication
-    const freepikMainFiltered = filterDuplicates(freepikMainResults)
-      .map(img => ({ ...img, category: "Downloadable Design Resources" }));
-    const freepikColorFiltered = filterDuplicates(freepikColorResults)
-      .map(img => ({ ...img, category: "Downloadable Color Inspiration" }));
-    const freepikVectorFiltered = filterDuplicates(freepikVectorResults)
-      .map(img => ({ ...img, category: "Downloadable Vector Resources", format: "vector" }));
-    const freepikPsdFiltered = filterDuplicates(freepikPsdResults)
-      .map(img => ({ ...img, category: "Downloadable PSD Templates", format: "psd" }));
-    const freepikAIFiltered = filterDuplicates(freepikAIResults)
-      .map(img => ({ ...img, category: "AI Generated Designs", format: "AI Image" }));
-
-    // Log Pinterest ratio for debugging
-    const pinterestCount = combinedInspiration.filter(img => img.source === "Pinterest").length;
-    console.log(`Pinterest ratio in Combined Inspiration: ${pinterestCount}/${combinedInspiration.length} (${Math.round(pinterestCount/combinedInspiration.length*100)}%)`);
-
-    // Combine all filtered image results
-    const allImages = [
-      ...combinedInspiration,
-      ...freepikMainFiltered,
-      ...freepikColorFiltered,
-      ...freepikVectorFiltered,
-      ...freepikPsdFiltered,
-      ...freepikAIFiltered,
-    ];
+// Standalone palette generation: /palette?base=%231E90FF&scheme=triadic
+app.get("/palette", (req, res) => {
+  const { base, scheme } = req.query;
+  const baseHex = palette.normalizeHex(base);
+  if (!baseHex) return res.status(400).json({ error: "A valid base hex color is required" });
+  if (scheme && !palette.SCHEMES.includes(scheme)) {
+    return res.status(400).json({ error: `Unknown scheme "${scheme}"`, schemes: palette.SCHEMES });
+  }
 
-    // Log search statistics
-    console.log(`📈 Search results: Combined (${combinedInspiration.length}), Resources (${freepikMainFiltered.length + freepikColorFiltered.length}), Vectors (${freepikVectorFiltered.length}), PSDs (${freepikPsdFiltered.length}), AI (${freepikAIFiltered.length})`);
+  const resolvedScheme = scheme || palette.chooseScheme(baseHex);
+  const colors = palette.generatePalette(baseHex, resolvedScheme);
+  res.json({
+    base: baseHex,
+    scheme: resolvedScheme,
+    colors: colors.map(palette.describeColor),
+    palette: colors,
+    schemes: palette.SCHEMES
+  });
+});
 
-    // Return comprehensive results
-    res.json({
-      images: allImages,
-      aiSuggestions,
-      relatedTerms,
-      colorPalette,
-      heading,
-      query: {
-        original: q,
-        enhanced: enhancedQuery,
-        params: { industry, font, color, designStyle }
-      },
-      stats: {
-        totalImages: allImages.length,
-        pinterestCount: pinterestCount,
-        sources: [...new Set(allImages.map(img => img.source))]
-      }
-    });
-  } catch (error) {
-    console.error("❌ API Error:", error.message);
-    res.status(500).json({ error: "Failed to fetch design resources", details: error.message });
+// Image providers with their configuration and last-call health, plus the LLM in use
+app.get("/providers", (req, res) => {
+  const providers = describeProviders();
+  res.json({
+    providers,
+    available: providers.filter(p => p.enabled && p.configured).map(p => p.name),
+    llm: describeLlm()
+  });
+});
+
+// Today's upstream budgets and the calling client's request count and rate limit
+app.get("/usage", (req, res) => {
+  res.json({
+    client: req.client.name,
+    rateLimit: { perMinute: req.client.perMinute || null },
+    ...usageTracker.report({ client: req.client.name })
+  });
+});
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get("/metrics", async (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get("Authorization") !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: "Metrics token required" });
   }
+  res.set("Content-Type", metricsRegistry.contentType);
+  res.send(await metricsRegistry.metrics());
 });
 
-// Health check route
+// Liveness: the process is up and serving requests
+app.get("/health/live", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+// Readiness: which providers can serve images right now (configured, not failing, budget
+// left) and whether briefs come from a model. 503 only when providers are configured
+// but none of them can serve; without any, searches still return briefs.
 app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok", message: "Design API is running" });
+  const budgets = new Map(usageTracker.report().upstreams.map(b => [b.name, b]));
+  const providers = describeProviders().filter(p => p.enabled).map(p => {
+    const budgetExhausted = Boolean(p.budget && budgets.get(p.budget)?.exhausted);
+    return {
+      name: p.name,
+      configured: p.configured,
+      reachable: p.reachable,
+      circuit: p.circuit.state,
+      budgetExhausted,
+      ready: p.configured && p.reachable !== false && !budgetExhausted,
+      lastError: p.reachable === false ? p.lastError : undefined
+    };
+  });
+  const configured = providers.filter(p => p.configured);
+  const ready = configured.filter(p => p.ready);
+  const llm = describeLlm();
+  let status = "ok";
+  if (configured.length > 0 && ready.length === 0) status = "unavailable";
+  else if (ready.length < configured.length || configured.length === 0 || !llm.configured) status = "degraded";
+  res.status(status === "unavailable" ? 503 : 200).json({
+    status,
+    uptimeSeconds: Math.round(process.uptime()),
+    mode: httpMode(),
+    providers,
+    llm: { configured: llm.configured, provider: llm.provider, model: llm.model, error: llm.error }
+  });
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
+app.listen(PORT, () => logger.info("server listening", { port: Number(PORT) }));
 
 export default app;
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, assetId, identify, mergeAssets } from '../lib/assets.js';
+
+test('drops tracking params, scheme, www and fragments', () => {
+  assert.equal(
+    canonicalizeUrl('https://www.Example.com/a/b.jpg?utm_source=x&fbclid=1&b=2&a=1#top'),
+    'example.com/a/b.jpg?a=1&b=2',
+  );
+  assert.equal(assetId('http://example.com/a.jpg?gclid=9'), assetId('https://www.example.com/a.jpg'));
+});
+
+test('keeps params that select the file', () => {
+  assert.equal(canonicalizeUrl('https://img.example.com/render?src=one.jpg&ref=v2'), 'img.example.com/render?ref=v2&src=one.jpg');
+  assert.notEqual(assetId('https://img.example.com/render?src=one.jpg'), assetId('https://img.example.com/render?src=two.jpg'));
+});
+
+test('collapses CDN size variants', () => {
+  assert.equal(
+    assetId('https://i.pinimg.com/236x/ab/cd/abcd.jpg'),
+    assetId('https://i.pinimg.com/originals/ab/cd/abcd.png'),
+  );
+  assert.equal(
+    assetId('https://img.freepik.com/free-vector/logo.jpg?w=740&t=st=1'),
+    assetId('https://img.freepik.com/free-vector/logo.jpg?w=360'),
+  );
+});
+
+test('merges copies of one asset', () => {
+  const images = [
+    identify({ image: 'https://example.com/a.jpg?utm_medium=x', provider: 'google', source: 'Google' }),
+    identify({ image: 'https://example.com/a.jpg', provider: 'pinterest', source: 'Pinterest' }),
+  ];
+  const merged = mergeAssets(images);
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].sources.map(s => s.provider), ['google', 'pinterest']);
+});
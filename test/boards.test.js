@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createBoardStore, BoardValidationError, UnknownAssetError } from '../lib/boards.js';
+import { identify } from '../lib/assets.js';
+
+const served = identify({ image: 'https://img.example.com/a.jpg', title: 'Served', provider: 'google', source: 'Google' });
+const forged = { ...served, id: identify({ image: 'https://img.example.com/b.jpg' }).id };
+
+const withStore = async (assets, fn) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'boards-test-'));
+  const index = new Map(assets.map(image => [image.id, image]));
+  try {
+    await fn(createBoardStore(path.join(dir, 'boards.json'), { lookup: async id => index.get(id) || null }));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('adds the served record for an asset id', () => withStore([served], async (boards) => {
+  const board = await boards.create({ name: 'Cafe' });
+  const item = await boards.addItem(board.id, { assetId: served.id, note: 'hero' });
+  assert.equal(item.assetId, served.id);
+  assert.equal(item.image.image, served.image);
+  assert.equal(item.note, 'hero');
+  assert.equal(item.verified, true);
+}));
+
+test('uses only the id of a client-sent image object', () => withStore([served], async (boards) => {
+  const board = await boards.create({ name: 'Cafe' });
+  const item = await boards.addItem(board.id, { image: { ...served, image: 'http://169.254.169.254/latest/meta-data' } });
+  assert.equal(item.image.image, served.image);
+}));
+
+test('rejects ids /search never served', () => withStore([served], async (boards) => {
+  const board = await boards.create({ name: 'Cafe' });
+  await assert.rejects(boards.addItem(board.id, { assetId: 'f'.repeat(64) }), UnknownAssetError);
+  await assert.rejects(boards.addItem(board.id, { assetId: '../boards' }), BoardValidationError);
+  await assert.rejects(boards.addItem(board.id, {}), BoardValidationError);
+  await assert.rejects(boards.create({ name: 'Other', items: [{ assetId: 'f'.repeat(64) }] }), UnknownAssetError);
+}));
+
+test('rejects records whose id does not match their URL', () => withStore([forged], async (boards) => {
+  const board = await boards.create({ name: 'Cafe' });
+  await assert.rejects(boards.addItem(board.id, { assetId: forged.id }), /does not match/);
+}));
+
+test('returns null for a missing board', () => withStore([served], async (boards) => {
+  assert.equal(await boards.addItem('missing', { assetId: served.id }), null);
+}));
+
+test('a rejected update leaves the board unchanged', () => withStore([served], async (boards) => {
+  const board = await boards.create({ name: 'Cafe', description: 'Warm', query: { q: 'cafe logo' } });
+  await assert.rejects(boards.update(board.id, { name: 'Renamed', description: 'Cold', query: { q: 'x', ai: 'maybe' } }), BoardValidationError);
+  await assert.rejects(boards.update(board.id, { name: ' ', description: 'Cold' }), BoardValidationError);
+  const current = await boards.get(board.id);
+  assert.equal(current.name, 'Cafe');
+  assert.equal(current.description, 'Warm');
+  assert.deepEqual(current.query, { q: 'cafe logo' });
+  assert.equal(current.updatedAt, board.updatedAt);
+}));
+
+test('boards are visible only to the client that created them', () => withStore([served], async (boards) => {
+  const web = { client: 'web' };
+  const other = { client: 'partner' };
+  const board = await boards.create({ name: 'Cafe', query: { q: 'cafe logo' } }, web);
+  await boards.addItem(board.id, { assetId: served.id }, web);
+
+  assert.deepEqual((await boards.list(web)).map(entry => entry.id), [board.id]);
+  assert.deepEqual(await boards.list(other), []);
+  assert.equal(await boards.get(board.id, other), null);
+  assert.equal(await boards.update(board.id, { name: 'Taken' }, other), null);
+  assert.equal(await boards.addItem(board.id, { assetId: served.id }, other), null);
+  assert.equal(await boards.updateItem(board.id, served.id, { note: 'x' }, other), null);
+  assert.equal(await boards.removeItem(board.id, served.id, other), null);
+  assert.equal(await boards.markRefreshed(board.id, other), null);
+  assert.equal(await boards.remove(board.id, other), false);
+
+  const current = await boards.get(board.id, web);
+  assert.equal(current.name, 'Cafe');
+  assert.equal(current.items.length, 1);
+  assert.equal(current.lastRefreshedAt, null);
+  assert.equal(await boards.remove(board.id, web), true);
+}));
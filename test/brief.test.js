@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBrief, buildFallbackBrief } from '../lib/brief.js';
+import { colorTargets } from '../lib/colorMatch.js';
+
+const WELL_FORMED = `# Calm Coastal Cafe
+
+# COLOR PALETTE
+- Primary: #1D3557 (Deep navy for the logo)
+- Secondary: #f1faee - Soft cream background
+- Accent 1: #E63946
+- Accent 2: #a8dadc
+
+# TYPOGRAPHY RECOMMENDATIONS
+1. Playfair Display (700, italic) - Headlines
+2. Inter: Body copy
+
+# FONT PAIRING RECOMMENDATIONS
+1. Headline: Playfair Display + Body: Inter - Editorial warmth
+
+# BRAND INSPIRATION
+1. Blue Bottle Coffee: Quiet, confident minimalism
+
+# LAYOUT SUGGESTIONS
+1. Split hero - Photo left, menu right`;
+
+test('parses a well-formed brief without warnings', () => {
+  const brief = parseBrief(WELL_FORMED);
+  assert.equal(brief.source, 'model');
+  assert.deepEqual(brief.warnings, []);
+  assert.equal(brief.title, 'Calm Coastal Cafe');
+  assert.deepEqual(brief.palette.map(p => [p.role, p.hex]), [
+    ['primary', '#1D3557'], ['secondary', '#F1FAEE'], ['accent 1', '#E63946'], ['accent 2', '#A8DADC'],
+  ]);
+  assert.equal(brief.palette[0].description, 'Deep navy for the logo');
+  assert.equal(brief.palette[1].description, 'Soft cream background');
+  assert.deepEqual(brief.typography[0], { family: 'Playfair Display', weight: '700', style: 'italic', usage: 'Headlines' });
+  assert.deepEqual(brief.typography[1], { family: 'Inter', weight: null, style: 'normal', usage: 'Body copy' });
+  assert.deepEqual(brief.fontPairings, [{ headline: 'Playfair Display', body: 'Inter', context: 'Editorial warmth' }]);
+  assert.deepEqual(brief.brandInspiration, [{ name: 'Blue Bottle Coffee', description: 'Quiet, confident minimalism' }]);
+  assert.deepEqual(brief.layouts, [{ name: 'Split hero', description: 'Photo left, menu right' }]);
+});
+
+test('repairs loose font pairings and reports entries it had to drop', () => {
+  const brief = parseBrief(`# Title
+# COLOR PALETTE
+- Primary: #123456
+- Secondary: navy blue
+# TYPOGRAPHY
+- Lora
+# FONT PAIRINGS
+1. Lora + Source Sans - Bookish but clean
+2. Oswald and Merriweather: Poster headlines
+3. Just one font`);
+  assert.equal(brief.source, 'repaired');
+  assert.deepEqual(brief.fontPairings, [
+    { headline: 'Lora', body: 'Source Sans', context: 'Bookish but clean' },
+    { headline: 'Oswald', body: 'Merriweather', context: 'Poster headlines' },
+  ]);
+  assert.ok(brief.warnings.includes('Palette entry without a valid hex code: "Secondary: navy blue"'));
+  assert.ok(brief.warnings.includes('Unrecognized font pairing: "Just one font"'));
+  // The one valid entry is kept and topped up from the color engine
+  assert.equal(brief.palette[0].hex, '#123456');
+  assert.equal(brief.palette.length, 4);
+});
+
+test('salvages loose hex codes when the palette section is missing', () => {
+  const brief = parseBrief('Try #ff6600 with #333 and a touch of #FF6600 again.', { query: 'bakery logo' });
+  assert.equal(brief.source, 'repaired');
+  assert.deepEqual(brief.palette.slice(0, 2).map(p => [p.role, p.hex]), [['primary', '#FF6600'], ['secondary', '#333333']]);
+  assert.equal(brief.palette.length, 4);
+  assert.equal(brief.title, 'bakery logo design direction');
+  ['palette', 'typography', 'fontPairings'].forEach(key => assert.ok(brief.warnings.includes(`Missing section: ${key}`)));
+});
+
+test('fills missing sections from the request params', () => {
+  const brief = parseBrief('# Only a title\n\nNothing else useful here.', { query: 'law firm site', font: 'Garamond', color: '#0A3D62' });
+  assert.equal(brief.title, 'Only a title');
+  assert.equal(brief.palette[0].hex, '#0A3D62');
+  assert.equal(brief.palette.length, 4);
+  assert.deepEqual(brief.typography, [{ family: 'Garamond', weight: null, style: 'normal', usage: 'Requested typeface' }]);
+  assert.deepEqual(brief.fontPairings, []);
+  assert.equal(brief.source, 'repaired');
+});
+
+test('falls back to the rule-based brief for empty output', () => {
+  const brief = parseBrief('', { query: 'minimal vegan cafe logo', color: '#2D6A4F' });
+  assert.equal(brief.source, 'fallback');
+  assert.equal(brief.palette[0].hex, '#2D6A4F');
+  assert.equal(brief.palette[0].description, 'Requested brand color');
+  assert.equal(brief.palette.length, 4);
+  assert.equal(new Set(brief.palette.map(p => p.hex)).size, 4);
+  assert.ok(brief.typography.length > 0);
+  assert.ok(brief.fontPairings.length > 0);
+});
+
+test('fallback briefs are stable for the same query', () => {
+  const first = buildFallbackBrief({ query: 'quirky zine cover' });
+  const second = buildFallbackBrief({ query: 'quirky zine cover' });
+  assert.deepEqual(first, second);
+  assert.deepEqual(first.warnings, ['AI suggestions unavailable']);
+  assert.equal(buildFallbackBrief({ font: 'Futura' }).fontPairings[0].headline, 'Futura');
+});
+
+test('color words resolved to hex steer the fallback palette', () => {
+  const [navy] = colorTargets({ color: 'navy' });
+  const [darkGreen] = colorTargets({ color: 'dark green' });
+  assert.equal(buildFallbackBrief({ query: 'minimal navy logo for a vegan cafe', color: navy }).palette[0].hex, '#000080');
+  assert.equal(buildFallbackBrief({ query: 'dark green poster', color: darkGreen }).palette[0].hex, '#006400');
+  assert.equal(parseBrief('# Title', { color: navy }).palette[0].hex, '#000080');
+});
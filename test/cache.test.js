@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCache, cacheKey, setCacheHeaders } from '../lib/cache.js';
+
+const tempDir = () => fs.mkdtemp(path.join(os.tmpdir(), 'cache-test-'));
+
+test('cacheKey ignores order, case, spacing and empty values', () => {
+  assert.equal(cacheKey('s', { q: ' Navy  Logo', a: '' }), cacheKey('s', { b: undefined, q: 'navy logo' }));
+});
+
+test('wrap misses, hits and coalesces concurrent calls', async () => {
+  const cache = createCache({ name: 'wrap', ttl: 60 });
+  let calls = 0;
+  const fn = async () => { calls++; return 'value'; };
+  const [first, second] = await Promise.all([cache.wrap('k', fn), cache.wrap('k', fn)]);
+  assert.deepEqual([first.status, second.status], ['MISS', 'COALESCED']);
+  assert.equal((await cache.wrap('k', fn)).status, 'HIT');
+  assert.equal(calls, 1);
+});
+
+test('shouldCache and refresh skip the store', async () => {
+  const cache = createCache({ name: 'skip', ttl: 60 });
+  await cache.wrap('k', async () => 'fallback', { shouldCache: () => false });
+  assert.equal(await cache.get('k'), null);
+  await cache.set('k', 'old');
+  assert.equal((await cache.wrap('k', async () => 'new', { refresh: true })).value, 'new');
+});
+
+test('memory tier evicts the least recently used entry', async () => {
+  const cache = createCache({ name: 'lru', ttl: 60, maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+  assert.equal(cache.size, 2);
+  assert.equal(await cache.get('b'), null);
+  assert.equal((await cache.get('a')).value, 1);
+});
+
+test('disk tier is capped at maxEntries and drops expired files', async () => {
+  const dir = await tempDir();
+  try {
+    const cache = createCache({ name: 'disk', ttl: 60, maxEntries: 2, dir });
+    await cache.set('a', 1);
+    await cache.set('gone', 0, 0.05);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    await cache.set('b', 2);
+    await cache.set('c', 3);
+    assert.equal((await fs.readdir(path.join(dir, 'disk'))).length, 2);
+
+    // A fresh instance reads what survived from the directory
+    const reopened = createCache({ name: 'disk', ttl: 60, maxEntries: 2, dir });
+    assert.equal((await reopened.get('c')).value, 3);
+    assert.equal(await reopened.get('a'), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('cache headers are private', () => {
+  const headers = {};
+  setCacheHeaders({ set: (name, value) => { headers[name] = value; } }, { status: 'HIT', expiresAt: Date.now() + 60000 });
+  assert.equal(headers['X-Cache'], 'HIT');
+  assert.match(headers['Cache-Control'], /^private, max-age=\d+$/);
+});
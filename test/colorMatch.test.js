@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deltaE2000 } from '../lib/palette.js';
+import { matchColors, sortByColor, colorTargets } from '../lib/colorMatch.js';
+
+// Reference pairs from Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula"
+const SHARMA_PAIRS = [
+  [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+  [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+  [[50, 0, 0], [50, -1, 2], 2.3669],
+  [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+  [[50, 2.5, 0], [73, 25, -18], 27.1492],
+  [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  [[90.9257, -0.5406, -0.9208], [88.6381, -0.8985, -0.7239], 1.5381],
+];
+
+test('deltaE2000 matches the published reference values', () => {
+  SHARMA_PAIRS.forEach(([first, second, expected]) => {
+    assert.ok(Math.abs(deltaE2000(first, second) - expected) < 1e-4, `${first} / ${second}`);
+    assert.ok(Math.abs(deltaE2000(second, first) - expected) < 1e-4, `${second} / ${first}`);
+  });
+  assert.equal(deltaE2000('#336699', '#336699'), 0);
+});
+
+test('matches and sorts images by their closest swatch', () => {
+  const images = [
+    { id: 'red', score: 0.9, swatches: [{ hex: '#D62828', share: 0.6 }, { hex: '#FFFFFF', share: 0.4 }] },
+    { id: 'navy', score: 0.5, swatches: [{ hex: '#14148C', share: 0.7 }, { hex: '#F1FAEE', share: 0.3 }] },
+    { id: 'unknown', score: 1 },
+  ];
+  const targets = colorTargets({ color: 'navy' });
+  const strict = matchColors(images, targets, 'strict');
+  assert.deepEqual(strict.map(img => img.id), ['navy']);
+  assert.deepEqual(matchColors(images, targets, 'loose').map(img => img.id), ['navy']);
+  assert.deepEqual(sortByColor(matchColors(images, targets)).map(img => img.id), ['navy', 'red', 'unknown']);
+});
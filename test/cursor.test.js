@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../lib/cursor.js';
+
+const raw = (data) => Buffer.from(JSON.stringify({ v: 1, q: 'abc', s: '', ...data })).toString('base64url');
+
+test('round-trips a cursor', () => {
+  const seen = ['0123456789ab', 'ba9876543210'];
+  const cursor = decodeCursor(encodeCursor({ fingerprint: 'abc', offsets: { google: 10, freepik: 0 }, seen, colorBase: '#112233', page: 2 }));
+  assert.deepEqual(cursor, { fingerprint: 'abc', offsets: { google: 10, freepik: 0 }, seen, colorBase: '#112233', page: 2 });
+});
+
+test('rejects offsets that are not non-negative integers', () => {
+  assert.ok(decodeCursor(raw({ o: { google: 5 }, n: 3 })));
+  for (const offset of [-1, 1.5, '10', null, 1e9, { $gt: 0 }]) {
+    assert.equal(decodeCursor(raw({ o: { google: offset } })), null, JSON.stringify(offset));
+  }
+  assert.equal(decodeCursor(raw({ o: [1, 2] })), null);
+});
+
+test('rejects malformed cursors and pages', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(['a', 'b']), null);
+  assert.equal(decodeCursor(raw({ o: {}, v: 2 })), null);
+  assert.equal(decodeCursor(raw({ o: {}, n: 0 })), null);
+  assert.equal(decodeCursor(raw({ o: {}, n: 'two' })), null);
+});
+
+test('keeps only the latest served ids', () => {
+  const seen = Array.from({ length: 800 }, (_, i) => i.toString(16).padStart(12, '0'));
+  const cursor = decodeCursor(encodeCursor({ fingerprint: 'abc', offsets: {}, seen, page: 9 }));
+  assert.equal(cursor.seen.length, 500);
+  assert.equal(cursor.seen[499], seen[799]);
+});
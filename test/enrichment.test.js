@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import axios from 'axios';
+import sharp from 'sharp';
+
+Object.assign(process.env, { LOG_LEVEL: 'error', CACHE_DIR: '' });
+const { enrichImages } = await import('../lib/enrichment.js');
+const { publicLookup } = await import('../lib/netGuard.js');
+
+const png = sharp({ create: { width: 300, height: 200, channels: 3, background: '#336699' } }).png().toBuffer();
+
+// Fake upstream: `routes` maps URLs to [status, headers, body]; every request must use the guarded lookup
+const requested = [];
+let routes = {};
+const adapter = axios.defaults.adapter;
+test.before(() => {
+  axios.defaults.adapter = async (config) => {
+    requested.push(config.url);
+    assert.equal(config.lookup, publicLookup);
+    assert.equal(config.maxRedirects, 0);
+    const [status, headers, body] = routes[config.url] || [404, {}, Buffer.alloc(0)];
+    const response = { status, statusText: '', headers, data: Readable.from([body]), config, request: {} };
+    if (!config.validateStatus(status)) throw new axios.AxiosError('failed', 'ERR_BAD_RESPONSE', config, {}, response);
+    return response;
+  };
+});
+test.after(() => {
+  axios.defaults.adapter = adapter;
+});
+
+let seq = 0;
+const image = (url) => ({ id: `asset-${++seq}`, image: url });
+
+test('measures images reached through public redirects', async () => {
+  routes = {
+    'https://cdn.example.com/a.png': [302, { location: '/b.png' }, Buffer.alloc(0)],
+    'https://cdn.example.com/b.png': [200, { 'content-type': 'image/png' }, await png],
+  };
+  const [enriched] = await enrichImages([image('https://cdn.example.com/a.png')]);
+  assert.equal(enriched.validated, true);
+  assert.equal(enriched.width, 300);
+  assert.equal(enriched.orientation, 'landscape');
+});
+
+test('never requests private addresses, directly or through a redirect', async () => {
+  requested.length = 0;
+  routes = {
+    'https://cdn.example.com/redirect.png': [301, { location: 'http://169.254.169.254/latest/meta-data' }, Buffer.alloc(0)],
+    'https://cdn.example.com/v6.png': [302, { location: 'http://[::1]/x.png' }, Buffer.alloc(0)],
+  };
+  const enriched = await enrichImages([
+    image('http://127.0.0.1:8080/admin.png'),
+    image('https://cdn.example.com/redirect.png'),
+    image('https://cdn.example.com/v6.png'),
+  ]);
+  assert.deepEqual(enriched, []);
+  assert.ok(!requested.some(url => /127\.0\.0\.1|169\.254\.169\.254|\[::1\]/.test(url)));
+});
+
+test('drops images behind redirect loops and non-http redirects', async () => {
+  routes = {
+    'https://cdn.example.com/loop.png': [302, { location: '/loop.png' }, Buffer.alloc(0)],
+    'https://cdn.example.com/ftp.png': [302, { location: 'ftp://cdn.example.com/x.png' }, Buffer.alloc(0)],
+  };
+  const enriched = await enrichImages([image('https://cdn.example.com/loop.png'), image('https://cdn.example.com/ftp.png')]);
+  assert.deepEqual(enriched, []);
+});
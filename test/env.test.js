@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readNumberEnv, readJsonEnv } from '../lib/env.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const withEnv = (key, value, fn) => {
+  const previous = process.env[key];
+  if (value === undefined) delete process.env[key];
+  else process.env[key] = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env[key];
+    else process.env[key] = previous;
+  }
+};
+
+test('numbers fall back when unset, blank, negative or invalid', () => {
+  assert.equal(withEnv('TEST_NUMBER', undefined, () => readNumberEnv('TEST_NUMBER', 5)), 5);
+  assert.equal(withEnv('TEST_NUMBER', '', () => readNumberEnv('TEST_NUMBER', 5)), 5);
+  assert.equal(withEnv('TEST_NUMBER', ' ', () => readNumberEnv('TEST_NUMBER', 5)), 5);
+  assert.equal(withEnv('TEST_NUMBER', '-1', () => readNumberEnv('TEST_NUMBER', 5)), 5);
+  assert.equal(withEnv('TEST_NUMBER', 'ten', () => readNumberEnv('TEST_NUMBER', 5)), 5);
+  assert.equal(withEnv('TEST_NUMBER', '0', () => readNumberEnv('TEST_NUMBER', 5)), 0);
+  assert.equal(withEnv('TEST_NUMBER', '2.5', () => readNumberEnv('TEST_NUMBER', 5)), 2.5);
+});
+
+test('JSON objects merge over the defaults and invalid values are ignored', () => {
+  const defaults = { a: 1, b: 2 };
+  assert.deepEqual(withEnv('TEST_JSON', undefined, () => readJsonEnv('TEST_JSON', defaults)), defaults);
+  assert.deepEqual(withEnv('TEST_JSON', '{"b":3,"c":4}', () => readJsonEnv('TEST_JSON', defaults)), { a: 1, b: 3, c: 4 });
+  assert.deepEqual(withEnv('TEST_JSON', '{oops', () => readJsonEnv('TEST_JSON', defaults)), defaults);
+  assert.deepEqual(withEnv('TEST_JSON', '[1,2]', () => readJsonEnv('TEST_JSON', defaults)), defaults);
+  assert.deepEqual(withEnv('TEST_JSON', '{"x":1}', () => readJsonEnv('TEST_JSON')), { x: 1 });
+  // Callers get a copy, never the shared defaults
+  assert.notEqual(readJsonEnv('TEST_JSON_UNSET', defaults), defaults);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createGenerationService, pickOptions, GenerationValidationError } from '../lib/generation.js';
+
+const withService = async (generate, fn) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'generation-test-'));
+  try {
+    await fn(createGenerationService({ file: path.join(dir, 'generations.json'), generate }), dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// The job once it has succeeded or failed, which may already be the case
+const finished = (service, job) => new Promise(resolve => {
+  const settle = (current) => {
+    if (!service.isFinished(current)) return;
+    unsubscribe();
+    resolve(current);
+  };
+  const unsubscribe = service.subscribe(job.id, settle);
+  service.get(job.id, { client: job.client }).then(settle);
+});
+
+test('validates styling options', () => {
+  assert.deepEqual(pickOptions({ style: 'photo', numImages: '2', unknown: 'x' }), { style: 'photo', numImages: 2 });
+  assert.throws(() => pickOptions({ numImages: 9 }), GenerationValidationError);
+  assert.throws(() => pickOptions({ style: 'Not A Slug' }), GenerationValidationError);
+});
+
+test('runs a job to completion with a fixed seed and regenerates it exactly', () =>
+  withService(async job => ({ images: [{ image: `https://img.example.com/${job.options.seed}.png` }] }), async (service) => {
+    const job = await service.submit({ prompt: 'a fox logo', style: 'cartoon' }, { client: 'alice' });
+    assert.equal(typeof job.options.seed, 'number');
+    const done = await finished(service, job);
+    assert.equal(done.status, 'succeeded');
+    assert.equal(done.images.length, 1);
+
+    const again = await service.regenerate(job.id, {}, { client: 'alice' });
+    assert.equal(again.options.seed, job.options.seed);
+    assert.equal(again.parentId, job.id);
+    await finished(service, again);
+  }));
+
+test('records failures', () =>
+  withService(async () => { throw new Error('upstream down'); }, async (service) => {
+    const job = await service.submit({ prompt: 'a fox logo' });
+    const done = await finished(service, job);
+    assert.equal(done.status, 'failed');
+    assert.equal(done.error, 'upstream down');
+  }));
+
+test('lists only the calling client\'s jobs', () =>
+  withService(async () => ({ images: [] }), async (service) => {
+    const mine = await service.submit({ prompt: 'mine' }, { client: 'alice' });
+    const theirs = await service.submit({ prompt: 'theirs' }, { client: 'bob' });
+    await Promise.all([finished(service, mine), finished(service, theirs)]);
+    assert.deepEqual((await service.list({ client: 'alice' })).map(job => job.id), [mine.id]);
+    assert.deepEqual((await service.list({ client: 'bob' })).map(job => job.id), [theirs.id]);
+    assert.deepEqual(await service.list(), []);
+  }));
+
+test('jobs are only visible to and regenerated by their client', () =>
+  withService(async () => ({ images: [] }), async (service) => {
+    const job = await service.submit({ prompt: 'mine' }, { client: 'alice' });
+    await finished(service, job);
+    assert.equal((await service.get(job.id, { client: 'alice' })).id, job.id);
+    assert.equal(await service.get(job.id, { client: 'bob' }), null);
+    assert.equal(await service.get(job.id), null);
+    assert.equal(await service.regenerate(job.id, {}, { client: 'bob' }), null);
+    assert.deepEqual(await service.list({ client: 'bob' }), []);
+  }));
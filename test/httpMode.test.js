@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import axios from 'axios';
+import { installHttpMode } from '../lib/httpMode.js';
+
+const SECRET = 'sk-test-0123456789abcdef';
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-mode-test-'));
+const adapter = axios.defaults.adapter;
+const saved = { MODE: process.env.MODE, FIXTURES_DIR: process.env.FIXTURES_DIR, FIXTURE_MAX_BYTES: process.env.FIXTURE_MAX_BYTES };
+
+// Fake upstream that echoes the key back in a header and in the body, and streams
+// `size` bytes for stream requests
+const upstream = async (config) => {
+  if (config.responseType === 'stream') {
+    const size = Number(new URL(config.url).searchParams.get('size'));
+    const chunks = Array.from({ length: size / 1000 }, (_, i) => Buffer.alloc(1000, i));
+    return { status: 200, statusText: 'OK', headers: { 'content-type': 'image/png' }, data: Readable.from(chunks), config, request: {} };
+  }
+  return {
+    status: 200,
+    statusText: 'OK',
+    headers: { 'content-type': 'application/json', 'x-api-key': SECRET, 'set-cookie': 'session=1' },
+    data: JSON.stringify({ next: `https://api.example.com/search?key=${SECRET}&page=2`, items: [1, 2] }),
+    config,
+    request: {},
+  };
+};
+
+const fixtures = async () => {
+  const files = [];
+  for (const host of await fs.readdir(dir)) {
+    for (const name of await fs.readdir(path.join(dir, host))) files.push(path.join(dir, host, name));
+  }
+  return Promise.all(files.map(async file => JSON.parse(await fs.readFile(file, 'utf8'))));
+};
+
+const read = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Streamed bodies are recorded once the caller has read them
+const settled = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test.before(() => {
+  Object.assign(process.env, { MODE: 'record', FIXTURES_DIR: dir, FIXTURE_MAX_BYTES: '5000', EXAMPLE_API_KEY: SECRET, LOG_LEVEL: 'error' });
+  axios.defaults.adapter = upstream;
+  installHttpMode();
+});
+
+test.after(async () => {
+  axios.defaults.adapter = adapter;
+  Object.entries(saved).forEach(([key, value]) => (value === undefined ? delete process.env[key] : (process.env[key] = value)));
+  delete process.env.EXAMPLE_API_KEY;
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('recorded fixtures carry no credentials in the URL, body or headers', async () => {
+  const response = await axios.post('https://api.example.com/search', { query: 'logo', apiKey: SECRET }, {
+    params: { q: 'logo', key: SECRET },
+    headers: { Authorization: `Bearer ${SECRET}`, 'x-api-key': SECRET },
+  });
+  // The caller still sees the upstream response as it was
+  assert.equal(response.data.items.length, 2);
+  const [fixture] = await fixtures();
+  const written = JSON.stringify(fixture);
+  assert.ok(!written.includes(SECRET), written);
+  assert.match(fixture.request.url, /key=%5BREDACTED%5D/);
+  assert.equal(fixture.request.body.apiKey, '[REDACTED]');
+  assert.deepEqual(Object.keys(fixture.response.headers), ['content-type']);
+  assert.match(fixture.response.json.next, /key=\[REDACTED\]/);
+});
+
+test('streams over the limit reach the caller whole and are not recorded', async () => {
+  const before = (await fixtures()).length;
+  const response = await axios.get('https://cdn.example.com/big.png?size=8000', { responseType: 'stream' });
+  assert.equal((await read(response.data)).length, 8000);
+  await settled();
+  assert.equal((await fixtures()).length, before);
+});
+
+test('streams within the limit are recorded once read', async () => {
+  const response = await axios.get('https://cdn.example.com/small.png?size=3000', { responseType: 'stream' });
+  assert.equal((await read(response.data)).length, 3000);
+  await settled();
+  const fixture = (await fixtures()).find(entry => entry.request.url.includes('small.png'));
+  assert.equal(Buffer.from(fixture.response.base64, 'base64').length, 3000);
+  assert.equal(fixture.response.truncated, undefined);
+});
+
+test('a stream the caller stops reading early is recorded as far as it got', async () => {
+  const response = await axios.get('https://cdn.example.com/probe.png?size=4000', { responseType: 'stream' });
+  await new Promise(resolve => response.data.once('data', () => {
+    response.data.destroy();
+    resolve();
+  }));
+  await settled();
+  const fixture = (await fixtures()).find(entry => entry.request.url.includes('probe.png'));
+  assert.equal(fixture.response.truncated, true);
+  assert.ok(Buffer.from(fixture.response.base64, 'base64').length < 4000);
+});
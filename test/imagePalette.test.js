@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { extractImagePalette, ImageDecodeError } from '../lib/imagePalette.js';
+
+const crc32 = (bytes) => {
+  let crc = ~0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+};
+
+// A small PNG whose header claims other dimensions, as a decompression bomb would
+const withHeaderSize = (png, width, height) => {
+  const copy = Buffer.from(png);
+  copy.writeUInt32BE(width, 16);
+  copy.writeUInt32BE(height, 20);
+  copy.writeUInt32BE(crc32(copy.subarray(12, 29)), 29);
+  return copy;
+};
+
+const solid = (color) => sharp({ create: { width: 40, height: 40, channels: 3, background: color } }).png().toBuffer();
+
+test('extracts the dominant colors of an image', async () => {
+  const result = await extractImagePalette(await solid('#1d3557'));
+  assert.equal(result.format, 'png');
+  assert.equal(result.palette.length, 1);
+  assert.equal(result.palette[0].hex, '#1D3557');
+});
+
+test('refuses images above the pixel limit before decoding them', async () => {
+  await assert.rejects(extractImagePalette(withHeaderSize(await solid('#ffffff'), 8000, 8000)),
+    error => error instanceof ImageDecodeError && /larger than 40 megapixels/.test(error.message));
+});
+
+test('reports undecodable and truncated uploads as decode errors', async () => {
+  await assert.rejects(extractImagePalette(Buffer.from('not an image')), ImageDecodeError);
+  const png = await solid('#e63946');
+  await assert.rejects(extractImagePalette(withHeaderSize(png, 4000, 4000)), ImageDecodeError);
+});
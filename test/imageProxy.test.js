@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import sharp from 'sharp';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-proxy-test-'));
+Object.assign(process.env, { IMAGE_CACHE_DIR: dir, LOG_LEVEL: 'error' });
+const { fetchImage, proxyImage, parseVariant, ImageProxyError } = await import('../lib/imageProxy.js');
+
+const png = (color) => sharp({ create: { width: 32, height: 32, channels: 3, background: color } }).png().toBuffer();
+
+// Fake upstream: `routes` maps URLs to [status, headers, body]
+const requested = [];
+let routes = {};
+const adapter = axios.defaults.adapter;
+test.before(() => {
+  axios.defaults.adapter = async (config) => {
+    requested.push(config.url);
+    const [status, headers, data] = routes[config.url] || [404, {}, Buffer.alloc(0)];
+    const response = { status, statusText: '', headers, data, config, request: {} };
+    if (!config.validateStatus(status)) throw new axios.AxiosError('failed', 'ERR_BAD_RESPONSE', config, {}, response);
+    return response;
+  };
+});
+test.after(async () => {
+  axios.defaults.adapter = adapter;
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('follows redirects to public hosts', async () => {
+  routes = {
+    'https://cdn.example.com/a.png': [302, { location: '/b.png' }, Buffer.alloc(0)],
+    'https://cdn.example.com/b.png': [200, { 'content-type': 'image/png' }, await png('#ff0000')],
+  };
+  const image = await fetchImage('https://cdn.example.com/a.png');
+  assert.equal(image.contentType, 'image/png');
+});
+
+test('refuses URLs and redirects that point at private addresses', async () => {
+  routes = {
+    'https://cdn.example.com/redirect.png': [301, { location: 'http://169.254.169.254/latest/meta-data' }, Buffer.alloc(0)],
+  };
+  await assert.rejects(fetchImage('http://127.0.0.1:3000/metrics'), error => error instanceof ImageProxyError && error.status === 403);
+  await assert.rejects(fetchImage('https://cdn.example.com/redirect.png'), error => error instanceof ImageProxyError && error.status === 403);
+  assert.ok(!requested.some(url => url.includes('169.254.169.254') || url.includes('127.0.0.1')));
+});
+
+test('gives up after too many redirects', async () => {
+  routes = Object.fromEntries(Array.from({ length: 8 }, (_, i) =>
+    [`https://loop.example.com/${i}`, [302, { location: `/${i + 1}` }, Buffer.alloc(0)]]));
+  await assert.rejects(fetchImage('https://loop.example.com/0'), /too many times/);
+});
+
+test('variants are cached by source URL, not by the id a record carries', async () => {
+  routes = {
+    'https://cdn.example.com/red.png': [200, { 'content-type': 'image/png' }, await png('#ff0000')],
+    'https://cdn.example.com/blue.png': [200, { 'content-type': 'image/png' }, await png('#0000ff')],
+  };
+  const variant = parseVariant({ w: 64, format: 'jpeg' });
+  const red = await proxyImage({ id: 'same', image: 'https://cdn.example.com/red.png' }, variant);
+  const blue = await proxyImage({ id: 'same', image: 'https://cdn.example.com/blue.png' }, variant);
+  const [redPixel, bluePixel] = await Promise.all([red, blue].map(({ buffer }) => sharp(buffer).raw().toBuffer()));
+  assert.ok(redPixel[0] > 200 && redPixel[2] < 50);
+  assert.ok(bluePixel[2] > 200 && bluePixel[0] < 50);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { llmConfig, describeLlm, generateText, LlmUnavailableError } from '../lib/llm/index.js';
+
+const withEnv = async (env, fn) => {
+  const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => (value === undefined ? delete process.env[key] : (process.env[key] = value)));
+  }
+};
+
+test('a malformed LLM_ENDPOINT leaves the model unconfigured instead of throwing', () =>
+  withEnv({ LLM_PROVIDER: 'openai', LLM_API_KEY: 'test-key', LLM_ENDPOINT: 'not a url' }, async () => {
+    assert.equal(llmConfig().configured, false);
+    const description = describeLlm();
+    assert.equal(description.configured, false);
+    assert.equal(description.endpoint, null);
+    assert.match(description.error, /LLM_ENDPOINT/);
+    await assert.rejects(generateText({ id: 'brief', text: 'x', vars: {} }), LlmUnavailableError);
+  }));
+
+test('a valid endpoint is described by its host only', () =>
+  withEnv({ LLM_PROVIDER: 'openai', LLM_API_KEY: 'test-key', LLM_ENDPOINT: 'https://llm.example.com/v1/' }, () => {
+    const description = describeLlm();
+    assert.equal(description.endpoint, 'llm.example.com');
+    assert.equal(description.configured, true);
+    assert.equal(description.error, undefined);
+  }));
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToSafeHtml } from '../lib/markdown.js';
+
+const REL = 'rel="noopener noreferrer nofollow"';
+
+test('renders markdown formatting', () => {
+  assert.equal(markdownToSafeHtml('## Palette\n\n- **Primary**: `#1D3557`'),
+    '<h2>Palette</h2>\n<ul>\n<li><strong>Primary</strong>: <code>#1D3557</code></li>\n</ul>\n');
+});
+
+test('drops script tags and their content', () => {
+  const html = markdownToSafeHtml('# Hi <script>alert(1)</script>\n\n<script src="https://evil.example/x.js"></script>');
+  assert.doesNotMatch(html, /script|alert/i);
+  assert.match(html, /<h1>Hi <\/h1>/);
+});
+
+test('drops javascript: and data: link targets but keeps the text', () => {
+  for (const href of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'data:text/html;base64,PHNjcmlwdD4=', '//evil.example/x']) {
+    const html = markdownToSafeHtml(`[click](${href})`);
+    assert.doesNotMatch(html, /href|javascript|data:|evil/i, href);
+    assert.match(html, />click<\/a>/);
+  }
+  assert.doesNotMatch(markdownToSafeHtml('<a href="javascript:alert(1)">x</a>'), /javascript/i);
+});
+
+test('drops event handler attributes', () => {
+  assert.equal(markdownToSafeHtml('<img src=x onerror=alert(1)>'), '');
+  const html = markdownToSafeHtml('<p onmouseover="alert(1)">hover</p>\n\n<a href="https://example.com" onclick="alert(1)">x</a>');
+  assert.doesNotMatch(html, /onmouseover|onclick|alert/);
+  assert.match(html, /<p>hover<\/p>/);
+});
+
+test('drops raw HTML outside the allowlist but keeps its text', () => {
+  assert.equal(markdownToSafeHtml('<div style="position:fixed">raw <b>bold</b></div>'), 'raw bold');
+  assert.equal(markdownToSafeHtml('<iframe src="https://evil.example"></iframe>text'), 'text');
+  assert.doesNotMatch(markdownToSafeHtml('<style>body{display:none}</style>ok'), /style|display/);
+});
+
+test('kept links open in a new tab without referrer or opener', () => {
+  assert.equal(markdownToSafeHtml('[site](https://example.com "Example")'),
+    `<p><a href="https://example.com" title="Example" target="_blank" ${REL}>site</a></p>\n`);
+  assert.match(markdownToSafeHtml('see https://example.com/a'), new RegExp(`<a href="https://example.com/a" target="_blank" ${REL}>`));
+  // Model-supplied target and rel are overwritten
+  assert.equal(markdownToSafeHtml('<a href="https://example.com" target="_self" rel="opener">x</a>'),
+    `<p><a href="https://example.com" target="_blank" ${REL}>x</a></p>\n`);
+  assert.match(markdownToSafeHtml('[mail](mailto:hi@example.com)'), /href="mailto:hi@example.com"/);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPdfRenderer, PdfQueueFullError } from '../lib/moodboard.js';
+
+// Fake Chromium whose renders finish when the test calls `finish()`
+const fakeLaunch = () => {
+  const state = { launched: 0, open: 0, maxOpen: 0, waiting: [] };
+  state.finish = () => state.waiting.splice(0).forEach(resolve => resolve());
+  state.launch = async () => {
+    state.launched++;
+    state.maxOpen = Math.max(state.maxOpen, ++state.open);
+    return {
+      newPage: async () => ({
+        setJavaScriptEnabled: async () => {},
+        setRequestInterception: async () => {},
+        on: () => {},
+        setContent: () => new Promise(resolve => state.waiting.push(resolve)),
+        pdf: async () => Buffer.from('%PDF'),
+      }),
+      close: async () => { state.open--; },
+    };
+  };
+  return state;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most `concurrency` browsers and rejects renders beyond the queue', async () => {
+  const chromium = fakeLaunch();
+  const render = createPdfRenderer({ launch: chromium.launch, concurrency: 1, maxQueued: 1 });
+  const first = render('<p>1</p>');
+  const second = render('<p>2</p>');
+  await assert.rejects(render('<p>3</p>'), PdfQueueFullError);
+  await tick();
+  assert.equal(chromium.launched, 1);
+
+  chromium.finish();
+  assert.equal((await first).toString(), '%PDF');
+  await tick();
+  chromium.finish();
+  await second;
+  assert.equal(chromium.maxOpen, 1);
+  assert.equal(chromium.open, 0);
+
+  // Slots free up once renders finish
+  const third = render('<p>3</p>');
+  await tick();
+  chromium.finish();
+  await third;
+});
+
+test('a failed launch frees its slot', async () => {
+  const render = createPdfRenderer({ launch: async () => { throw new Error('no chromium'); }, concurrency: 1, maxQueued: 0 });
+  await assert.rejects(render('<p></p>'), /no chromium/);
+  await assert.rejects(render('<p></p>'), /no chromium/);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedAddress, assertPublicUrl, publicLookup, BlockedAddressError } from '../lib/netGuard.js';
+
+test('blocks loopback, private, link-local and reserved addresses', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not-an-ip']
+    .forEach(address => assert.equal(isBlockedAddress(address), true, address));
+});
+
+test('allows public addresses', () => {
+  ['8.8.8.8', '151.101.1.69', '2606:4700:4700::1111'].forEach(address => assert.equal(isBlockedAddress(address), false, address));
+});
+
+test('rejects URLs naming a blocked IP in any notation', () => {
+  ['http://127.0.0.1/a.png', 'http://2130706433/', 'http://0x7f.1/', 'http://[::1]:8080/', 'https://169.254.169.254/latest/meta-data']
+    .forEach(url => assert.throws(() => assertPublicUrl(url), BlockedAddressError, url));
+  assert.doesNotThrow(() => assertPublicUrl('https://img.example.com/a.png'));
+});
+
+test('lookup refuses names that resolve to blocked addresses', async () => {
+  await assert.rejects(publicLookup('localhost'), BlockedAddressError);
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+// Module state (usage file, breaker policy) is read at import time
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'providers-test-'));
+Object.assign(process.env, {
+  USAGE_FILE: path.join(dir, 'usage.json'),
+  CIRCUIT_FAILURE_THRESHOLD: '1',
+  CIRCUIT_COOLDOWN_MS: '0',
+  PROVIDER_MAX_RETRIES: '0',
+  LOG_LEVEL: 'error',
+});
+const { registerProvider, runProvider } = await import('../lib/providers/index.js');
+const { usageTracker } = await import('../lib/budgets.js');
+const { createCircuitBreaker } = await import('../lib/resilience.js');
+
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const used = (upstream) => usageTracker.report().upstreams.find(entry => entry.name === upstream)?.used || 0;
+
+test('a released half-open trial lets the next call through', () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 0 });
+  breaker.failure();
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), false);
+  breaker.release();
+  assert.equal(breaker.state(), 'half-open');
+  assert.equal(breaker.allow(), true);
+});
+
+test('an exhausted budget during a half-open trial does not leave the circuit stuck open', async () => {
+  let fail = true;
+  registerProvider({
+    name: 'flaky',
+    label: 'Flaky',
+    requiredEnv: [],
+    budget: 'flaky-upstream',
+    capabilities: { formats: ['image'], pagination: false, maxPerPage: 10, generative: true },
+    async search() {
+      if (fail) throw new Error('upstream down');
+      return { items: [{ link: 'https://img.example.com/flaky.jpg' }], hasMore: false };
+    },
+    normalize: (item) => ({ image: item.link, source: 'Flaky' }),
+  });
+  process.env.UPSTREAM_BUDGETS = JSON.stringify({ 'flaky-upstream': 1 });
+  try {
+    // The failure opens the circuit; with no cooldown it is half-open right away
+    assert.equal((await runProvider('flaky', 'logo')).report.status, 'error');
+    // The trial is refused by the spent budget, twice
+    assert.equal((await runProvider('flaky', 'logo')).report.status, 'budget-exhausted');
+    assert.equal((await runProvider('flaky', 'logo')).report.status, 'budget-exhausted');
+    // More budget: the trial runs and closes the circuit
+    process.env.UPSTREAM_BUDGETS = JSON.stringify({ 'flaky-upstream': 5 });
+    fail = false;
+    const { report, images } = await runProvider('flaky', 'logo');
+    assert.equal(report.status, 'ok');
+    assert.equal(images.length, 1);
+  } finally {
+    delete process.env.UPSTREAM_BUDGETS;
+  }
+});
+
+test('the google fallback query spends its own budget unit', async () => {
+  Object.assign(process.env, { GOOGLE_API_KEY: 'test-google-key', GOOGLE_SEARCH_ENGINE_ID: 'test-engine' });
+  const adapter = axios.defaults.adapter;
+  const queries = [];
+  axios.defaults.adapter = async (config) => {
+    queries.push(config.params.q);
+    const items = config.params.q.endsWith(' design') ? [{ link: 'https://img.example.com/fallback.jpg', image: {} }] : [];
+    return { data: { items }, status: 200, statusText: 'OK', headers: {}, config, request: {} };
+  };
+  try {
+    const before = used('google-cse');
+    const { report } = await runProvider('google', 'very specific vintage coffee roaster logo');
+    assert.equal(report.status, 'ok');
+    assert.equal(report.count, 1);
+    assert.equal(queries.length, 2);
+    assert.equal(used('google-cse') - before, 2);
+  } finally {
+    axios.defaults.adapter = adapter;
+  }
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, resolveFacets } from '../lib/queryParser.js';
+
+const facetsOf = (query) => Object.fromEntries(parseQuery(query).map(({ facet, value }) => [facet, value]));
+
+test('parses facets from a free-text query and reports them as typed', () => {
+  assert.deepEqual(parseQuery('Minimal Navy LOGOS for a Vegan Café'), [
+    { facet: 'industry', value: 'food', text: 'Vegan' },
+    { facet: 'designStyle', value: 'minimalist', text: 'Minimal' },
+    { facet: 'color', value: 'navy', text: 'Navy' },
+    { facet: 'assetType', value: 'logo', text: 'LOGOS' },
+  ]);
+  assert.deepEqual(parseQuery('Dark Green poster').find(match => match.facet === 'color'), { facet: 'color', value: 'dark green', text: 'Dark Green' });
+});
+
+test('short lexicon words only match as whole words in their own sense', () => {
+  assert.equal(facetsOf('cocktail bar branding').industry, 'food');
+  assert.equal(facetsOf('bar menu').industry, 'food');
+  assert.equal(facetsOf('nav bar icons').industry, undefined);
+  assert.equal(facetsOf('progress-bar ui kit').industry, undefined);
+  assert.equal(facetsOf('bar chart infographic').industry, undefined);
+  assert.equal(facetsOf('tea-time poster').industry, undefined);
+  assert.equal(facetsOf('AI startup').industry, 'tech');
+  assert.equal(facetsOf('ai-generated art').industry, undefined);
+});
+
+test('explicit params win over parsed facets', () => {
+  const { facets, parsed } = resolveFacets({ industry: 'legal' }, parseQuery('vegan cafe logo'));
+  assert.equal(facets.industry, 'legal');
+  assert.equal(facets.assetType, 'logo');
+  assert.equal(parsed.find(match => match.facet === 'industry').applied, false);
+});
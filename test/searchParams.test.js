@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSearchParams } from '../lib/searchParams.js';
+
+test('accepts a plain search', () => {
+  assert.deepEqual(validateSearchParams({ q: 'minimal logo', ai: 'true', platforms: 'false', sources: 'google,Freepik' }), []);
+});
+
+test('rejects flags that are not true or false', () => {
+  const problems = validateSearchParams({ ai: 'yes', explain: ['true', 'false'], validate: '1', platforms: 'true' });
+  assert.deepEqual(problems, ['ai must be true or false', 'explain must be true or false', 'validate must be true or false']);
+});
+
+test('rejects repeated or unknown sources', () => {
+  assert.equal(validateSearchParams({ sources: ['google', 'freepik'] }).length, 1);
+  assert.match(validateSearchParams({ sources: 'google,flickr' })[0], /^sources must be/);
+});
+
+test('rejects repeated text params', () => {
+  assert.deepEqual(validateSearchParams({ q: ['a', 'b'] }), ['q must be a single string']);
+});